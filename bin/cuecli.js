@@ -12,6 +12,24 @@ import { listCommand } from '../src/commands/list.js';
 import { addCommand } from '../src/commands/add.js';
 import { editCommand } from '../src/commands/edit.js';
 import { exportCommand, importCommand } from '../src/commands/export.js';
+import { initCommand } from '../src/commands/init.js';
+import { storageInfoCommand, storageMigrateCommand } from '../src/commands/storage.js';
+import { doctorCommand } from '../src/commands/doctor.js';
+import { trashListCommand, trashRestoreCommand, trashEmptyCommand } from '../src/commands/trash.js';
+import { encryptCommand, decryptCommand, unlockLibraries } from '../src/commands/encrypt.js';
+import { historyCommand, diffCommand, revertCommand } from '../src/commands/history.js';
+import { moveCommand, copyCommand } from '../src/commands/move.js';
+import { varsCommand } from '../src/commands/vars.js';
+import { depsCommand } from '../src/commands/deps.js';
+import { renderCommand } from '../src/commands/render.js';
+import { VARIABLE_TYPES } from '../src/utils/variables.js';
+import { syncCommand, syncSetupCommand, syncServerCommand, autoSync } from '../src/commands/sync.js';
+import {
+  backupListCommand,
+  backupShowCommand,
+  backupRestoreCommand,
+  backupCreateCommand,
+} from '../src/commands/backup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,11 +40,37 @@ program
   .description('CLI tool for managing reusable prompts')
   .version(packageJson.version);
 
+// Ask for the passphrase of an encrypted library before any command runs
+program.hook('preAction', async () => {
+  try {
+    await unlockLibraries();
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+});
+
+// Push changes to the sync remote when sync.autoSync is on
+program.hook('postAction', async (_program, actionCommand) => {
+  if (actionCommand.name() !== 'sync' && actionCommand.parent?.name() !== 'sync') {
+    await autoSync();
+  }
+});
+
+// Init command
+program
+  .command('init')
+  .description('Create a project prompt library (.cuecli/) in the current directory')
+  .action(initCommand);
+
 // Get command (enhanced)
 program
   .command('get <name>')
   .description('Copy prompt to clipboard and display it')
-  .option('--vars <vars...>', 'Variables to substitute (format: KEY=value)')
+  .option('--vars <vars...>', 'Variables to substitute: KEY=value, KEY=@file, KEY=@- (stdin), KEY=$ENV or KEY=!command')
+  .option('--vars-file <file>', 'Read variables from a JSON or .env file (--vars take precedence)')
+  .option('--allow-commands', 'Allow KEY=!command values to run commands')
+  .option('--allow-missing', 'Keep placeholders that have no value instead of failing')
   .option('--stdout', 'Output to stdout instead of clipboard')
   .option('--file <path>', 'Save to file')
   .option('--append <path>', 'Append to file')
@@ -36,16 +80,37 @@ program
   .option('--output <format>', 'Output format: json, markdown, html, base64, url')
   .option('--raw', 'Output raw content without sanitization (security risk)')
   .option('--scan-only', 'Only show what would be sanitized')
-  .option('--execute', 'Execute the prompt as a command after confirmation')
+  .option('--execute', 'Execute the prompt as a command after confirmation; exits with its exit code')
+  .option('-y, --yes', 'With --execute, run without asking (needed without a terminal)')
+  .option('--timeout <duration>', 'With --execute, stop the prompt after this long (e.g. 90s, 5m; a bare number is seconds)')
+  .option('--dry-run', 'With --execute, show the interpreter, variables, working directory and environment without running')
+  .option('--sandbox', 'With --execute, run in a temporary directory with a scrubbed environment and resource limits')
+  .option('--allow-env <names...>', 'Environment variables the sandbox keeps besides PATH, LANG, TERM and the like')
   .option('-v, --verbose', 'Show detailed information')
   .action(getCommand);
 
+// Render command
+program
+  .command('render <name>')
+  .description('Render a prompt once per row of a CSV or JSON Lines file')
+  .requiredOption('--matrix <file>', 'Rows of variables: a .csv file with a header row, or .jsonl')
+  .option('--format <format>', 'Format of the matrix file when its extension does not tell: csv or jsonl')
+  .option('--out <template>', 'Write each row to a file named by this template (e.g. out/{{SERVICE}}.md) instead of JSON lines on stdout')
+  .option('--vars <vars...>', 'Variables for every row (rows override them), as for get')
+  .option('--vars-file <file>', 'Read variables for every row from a JSON or .env file')
+  .option('--allow-commands', 'Allow KEY=!command values to run commands')
+  .option('--allow-missing', 'Keep placeholders that have no value instead of failing the row')
+  .option('--raw', 'Output raw content without sanitization (security risk)')
+  .action(renderCommand);
+
 // List command
 program
-  .command('list')
+  .command('list [namespace]')
   .alias('ls')
-  .description('List all prompts')
+  .description('List all prompts, or those under a namespace (e.g. review/)')
   .option('--tags <tags...>', 'Filter by tags')
+  .option('--tree', 'Show prompts as a folder tree with counts')
+  .option('--depth <n>', 'Collapse the tree below this many levels (non-interactive)')
   .option('--json', 'Output as JSON')
   .option('-i, --interactive', 'Force interactive selection mode')
   .option('--no-interactive', 'Disable interactive selection mode')
@@ -59,6 +124,9 @@ program
   .option('--from-clipboard', 'Add prompt from clipboard')
   .option('--desc <text>', 'Add a description')
   .option('--tags <tags...>', 'Add tags to prompt')
+  .option('--interpreter <command>', 'Command that runs the prompt with --execute (e.g. python3), instead of its shebang')
+  .option('--sandbox', 'Only ever run the prompt in the sandbox (see get --sandbox)')
+  .option('--scope <scope>', 'Library to save to: project or global')
   .action(addCommand);
 
 // Edit command
@@ -67,6 +135,10 @@ program
   .description('Edit an existing prompt in your editor')
   .option('--editor <editor>', 'Specify editor to use')
   .option('--desc <text>', 'Update description without opening editor')
+  .option('--interpreter <command>', 'Set the command that runs the prompt with --execute (\'\' for its shebang)')
+  .option('--sandbox', 'Only ever run the prompt in the sandbox (see get --sandbox)')
+  .option('--no-sandbox', 'Let the prompt run outside the sandbox again')
+  .option('--scope <scope>', 'Library to edit in: project or global')
   .option('-v, --verbose', 'Show detailed information')
   .action(editCommand);
 
@@ -86,30 +158,238 @@ program
 program
   .command('import <file>')
   .description('Import prompts from JSON file')
-  .option('--merge', 'Merge with existing prompts')
+  .option('--merge', 'Three-way merge with existing prompts')
   .option('--overwrite', 'Overwrite existing prompts')
   .option('-v, --verbose', 'Show detailed import information')
   .action(importCommand);
 
+// Move command
+program
+  .command('mv <old> <new>')
+  .alias('rename')
+  .description('Rename a prompt, or a whole namespace (e.g. review/), keeping versions and history')
+  .option('-f, --force', 'Overwrite an existing prompt (it is moved to the trash)')
+  .option('--scope <scope>', 'Library the prompt is in: project or global')
+  .action(moveCommand);
+
+// Copy command
+program
+  .command('cp <src> <dest>')
+  .alias('copy')
+  .description('Duplicate a prompt, keeping its versions and history')
+  .option('-f, --force', 'Overwrite an existing prompt (it is moved to the trash)')
+  .option('--scope <scope>', 'Library the prompt is in: project or global')
+  .action(copyCommand);
+
+// History command
+program
+  .command('history <name>')
+  .description('Show all saved versions of a prompt')
+  .option('--json', 'Output as JSON')
+  .action(historyCommand);
+
+// Diff command
+program
+  .command('diff <name> [v1] [v2]')
+  .description('Show a unified diff between two versions (default: previous vs current)')
+  .option('-U, --context <lines>', 'Number of context lines (default: 3)')
+  .action(diffCommand);
+
+// Revert command
+program
+  .command('revert <name> <version>')
+  .description('Restore an earlier version of a prompt as a new version')
+  .action(revertCommand);
+
+// Variables command
+program
+  .command('vars <name> [action] [variable]')
+  .description('Show the variables of a prompt, or declare one: vars <name> set <variable> --type <type>')
+  .option('--type <type>', `Type of the variable: ${VARIABLE_TYPES.join(', ')}`)
+  .option('--desc <text>', 'What the variable is for')
+  .option('--default <value>', 'Value used when none is given')
+  .option('--pattern <regex>', 'Regular expression values must match in full')
+  .option('--values <list>', 'Values an enum allows, comma-separated')
+  .option('--scope <scope>', 'Library the prompt is in: project or global')
+  .option('--json', 'Output as JSON')
+  .action(varsCommand);
+
+// Dependencies command
+program
+  .command('deps <name>')
+  .description('Show the prompts a prompt includes with {{> name}}, or with --reverse those that include it')
+  .option('-r, --reverse', 'Show the prompts that include this one')
+  .option('--json', 'Output as JSON')
+  .action(depsCommand);
+
+// Backup commands
+const backup = program
+  .command('backup')
+  .description('Browse and restore automatic backups');
+
+backup
+  .command('list')
+  .alias('ls')
+  .description('List backups with prompt counts and changes since each one')
+  .option('--json', 'Output as JSON')
+  .option('--scope <scope>', 'Library to use: global (default) or project')
+  .action(backupListCommand);
+
+backup
+  .command('show <backup>')
+  .description('Show the prompts in a backup (by number from `backup list` or id)')
+  .option('--diff', 'Show content diffs for changed prompts')
+  .option('--json', 'Output as JSON')
+  .option('--scope <scope>', 'Library to use: global (default) or project')
+  .action(backupShowCommand);
+
+backup
+  .command('restore <backup>')
+  .description('Restore the whole library or selected prompts from a backup')
+  .option('--prompts <names...>', 'Restore only these prompts')
+  .option('--scope <scope>', 'Library to use: global (default) or project')
+  .action(backupRestoreCommand);
+
+backup
+  .command('create')
+  .description('Create a backup of the current library now')
+  .option('--scope <scope>', 'Library to use: global (default) or project')
+  .action(backupCreateCommand);
+
+// Storage commands
+const storageCmd = program
+  .command('storage')
+  .description('Inspect and convert the prompt storage backend');
+
+storageCmd
+  .command('info')
+  .description('Show the backend and location of each library')
+  .action(storageInfoCommand);
+
+storageCmd
+  .command('migrate')
+  .description('Move a library to another backend (json or markdown)')
+  .requiredOption('--to <backend>', 'Target backend: json or markdown')
+  .option('--scope <scope>', 'Library to migrate: global (default) or project')
+  .action(storageMigrateCommand);
+
+// Encryption commands
+program
+  .command('encrypt')
+  .description('Encrypt a library and its backups with a passphrase')
+  .option('--scope <scope>', 'Library to encrypt: global (default) or project')
+  .option('-y, --yes', 'Do not ask for confirmation (needed without a terminal)')
+  .action(encryptCommand);
+
+program
+  .command('decrypt')
+  .description('Store an encrypted library and its backups in plaintext again')
+  .option('--scope <scope>', 'Library to decrypt: global (default) or project')
+  .option('-y, --yes', 'Do not ask for confirmation (needed without a terminal)')
+  .option('--to <backend>', 'Plaintext backend: json (default) or markdown')
+  .action(decryptCommand);
+
+// Doctor command
+program
+  .command('doctor')
+  .description('Check prompt libraries for invalid records')
+  .option('--fix', 'Repair invalid records')
+  .option('--scope <scope>', 'Only check this library: project or global')
+  .option('--json', 'Output the report as JSON')
+  .action(doctorCommand);
+
+// Trash commands
+const trash = program
+  .command('trash')
+  .description('Manage deleted prompts');
+
+trash
+  .command('list')
+  .description('List deleted prompts, newest first')
+  .option('--scope <scope>', 'Only show this library: project or global')
+  .option('--json', 'Output as JSON')
+  .action(trashListCommand);
+
+trash
+  .command('restore <name>')
+  .description('Restore a deleted prompt with its history')
+  .option('--as <new-name>', 'Restore under another name')
+  .option('--scope <scope>', 'Library to restore from: project or global')
+  .action(trashRestoreCommand);
+
+trash
+  .command('empty')
+  .description('Permanently delete prompts in the trash')
+  .option('--older-than <duration>', 'Only those deleted longer ago than this (e.g. 30d, 12h, 2w)')
+  .option('--scope <scope>', 'Only empty this library: project or global')
+  .action(trashEmptyCommand);
+
+// Sync commands
+const sync = program
+  .command('sync')
+  .description('Sync the global library with a git remote or sync server')
+  .option('--ours', 'Resolve conflicts by keeping the local versions')
+  .option('--theirs', 'Resolve conflicts by taking the remote versions')
+  .option('--markers', 'Resolve conflicts by keeping both versions with conflict markers')
+  .action(syncCommand);
+
+sync
+  .command('setup <url>')
+  .description('Set the remote to sync with (a git URL, a bare repository path, or a sync server URL)')
+  .option('--branch <branch>', 'Branch to sync (default: main)')
+  .option('--provider <provider>', 'Where the remote is hosted: git (default), github, gitlab, or custom for a sync server')
+  .option('--token-env <var>', 'Environment variable holding the sync server token (default: CUECLI_SYNC_TOKEN)')
+  .option('--auto', 'Sync automatically after every change')
+  .option('--no-auto', 'Only sync when `cuecli sync` runs')
+  .action(syncSetupCommand);
+
+program
+  .command('sync-server')
+  .description('Run a sync server that libraries can sync with (sync provider custom)')
+  .option('--port <port>', 'Port to listen on', '8787')
+  .option('--host <host>', 'Address to listen on', '127.0.0.1')
+  .option('--dir <dir>', 'Where to keep the synced prompts (default: sync-server/ in the config directory)')
+  .option('--token-env <var>', 'Environment variable holding the token clients must send', 'CUECLI_SYNC_TOKEN')
+  .action(syncServerCommand);
+
 // Delete command
 program
   .command('delete <name>')
   .alias('rm')
-  .description('Delete a prompt')
-  .action(async name => {
-    const { default: storage } = await import('../src/storage/local.js');
+  .description('Move a prompt to the trash')
+  .option('--scope <scope>', 'Library to delete from: project or global')
+  .action(async (name, options) => {
+    const { default: storage } = await import('../src/storage/library.js');
     const { default: executor } = await import('../src/core/executor.js');
     
-    // Check if prompt exists
-    if (!storage.promptExists(name)) {
-      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+    let scope;
+    try {
+      scope = storage.resolveScope(name, options.scope);
+
+      // Check if prompt exists
+      if (!storage.promptExists(name, { scope })) {
+        const where = options.scope ? ` in the ${scope} library` : '';
+        console.error(chalk.red(`Error: Prompt '${name}' not found${where}`));
+        process.exit(1);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
     
+    // Prompts that include this one cannot be used without it
+    const dependents = storage.getDependents(name);
+    if (dependents.length > 0) {
+      console.log(chalk.yellow(`⚠ '${name}' is included by ${dependents.join(', ')}`));
+      console.log(chalk.gray(`  ${dependents.length === 1 ? 'It' : 'They'} will fail to render until '${name}' is restored or the include is removed`));
+    }
+
     // Verify intent before deleting
-    const result = await executor.verifyAction('delete', name, async () => {
-      if (storage.deletePrompt(name)) {
-        console.log(chalk.green('✓'), `Deleted prompt '${name}'`);
+    const target = storage.hasProject() ? `${name} (${scope})` : name;
+    const result = await executor.verifyAction('delete', target, async () => {
+      if (storage.deletePrompt(name, { scope })) {
+        console.log(chalk.green('✓'), `Moved '${name}' to the trash`);
+        console.log(chalk.gray(`  Use \`cuecli trash restore ${name}\` to bring it back`));
         return true;
       }
       throw new Error('Failed to delete prompt');
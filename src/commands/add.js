@@ -1,22 +1,25 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import readline from 'readline';
-import storage from '../storage/local.js';
+import storage from '../storage/library.js';
 import { readFromClipboard, copyToClipboardSilent } from '../utils/clipboard.js';
-import { extractVariables } from '../utils/template.js';
+import { extractVariables, validateTemplate } from '../utils/template.js';
 import { showDirectiveSummary, showPreview } from '../utils/ux.js';
 
 export async function addCommand(name, options) {
   try {
+    // Resolve which library (project or global) the prompt goes to
+    const scope = storage.resolveScope(name, options.scope);
+
     // Check if prompt already exists
-    if (storage.promptExists(name)) {
+    if (storage.promptExists(name, { scope })) {
       const rl = readline.createInterface({
         input: process.stdin,
         output: process.stdout
       });
 
       const answer = await new Promise(resolve => {
-        rl.question(chalk.yellow(`Prompt '${name}' already exists. Overwrite? (y/N): `), resolve);
+        rl.question(chalk.yellow(`Prompt '${name}' already exists in the ${scope} library. Overwrite? (y/N): `), resolve);
       });
       rl.close();
 
@@ -52,19 +55,28 @@ export async function addCommand(name, options) {
       process.exit(1);
     }
 
-    // Extract variables from content
-    const variables = extractVariables(content);
+    // Extract variables from content; a malformed template is saved, with a warning
+    const templateError = validateTemplate(content);
+    if (templateError) {
+      console.log(chalk.yellow('⚠ Template error:'), templateError.message);
+    }
+    const variables = templateError ? [] : extractVariables(content);
 
     // Prepare prompt data
     const promptData = {
       content,
       tags: options.tags || [],
       variables,
-      description: options.desc || undefined
+      description: options.desc || undefined,
+      interpreter: options.interpreter || undefined,
+      sandbox: options.sandbox || undefined
     };
 
     // Save the prompt
-    storage.setPrompt(name, promptData);
+    storage.setPrompt(name, promptData, { scope });
+    if (scope === 'project') {
+      console.log(chalk.gray(`Saved to project library ${storage.getProjectDir()}`));
+    }
 
     // Preview-first (always show; in non-TTY there is no keypress prompt later)
     showPreview(name, content, 10);
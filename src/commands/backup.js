@@ -0,0 +1,263 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import config from '../config/config.js';
+import executor from '../core/executor.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { getRelativeTime, colorizeDiffLine } from '../utils/ux.js';
+
+/**
+ * List backup snapshots with prompt counts and changes against the current library
+ */
+export async function backupListCommand(options) {
+  try {
+    const scope = { scope: options.scope || 'global' };
+    const backups = storage.listBackups(scope);
+
+    if (options.json) {
+      console.log(JSON.stringify(backups, null, 2));
+      return;
+    }
+
+    if (backups.length === 0) {
+      console.log(chalk.yellow('No backups found'));
+      if (!config.get('backup.enabled', true)) {
+        console.log(chalk.gray('Backups are disabled (backup.enabled = false)'));
+      }
+      return;
+    }
+
+    const current = storage.getAllPrompts(scope);
+
+    console.log();
+    console.log(chalk.cyan.bold('cueCLI Backups'));
+    console.log(chalk.gray('──────────────────────────────────────────────────'));
+    console.log();
+
+    for (const backup of backups) {
+      console.log(
+        chalk.yellow(`[${backup.index}]`),
+        chalk.white(backup.id),
+        chalk.gray(getRelativeTime(backup.created))
+      );
+
+      if (!backup.valid) {
+        console.log(chalk.red('     Unreadable backup file'));
+        console.log();
+        continue;
+      }
+
+      const data = storage.readBackup(backup.file, scope);
+      const changes = compareLibraries(data.prompts || {}, current);
+      console.log(chalk.gray(`     ${backup.promptCount} prompt(s) • ${formatSize(backup.size)}`));
+      console.log(chalk.gray('     vs current: ') + formatChangeSummary(changes));
+      console.log();
+    }
+
+    const maxBackups = config.get('backup.maxBackups', 10);
+    console.log(chalk.gray(`Keeping the last ${maxBackups} backups. Use \`cuecli backup show <n>\` for details`));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Show the prompts in a backup and how each differs from the current library
+ */
+export async function backupShowCommand(ref, options) {
+  try {
+    const scope = { scope: options.scope || 'global' };
+    const backup = storage.findBackup(ref, scope);
+    if (!backup) {
+      console.error(chalk.red(`Error: Backup '${ref}' not found`));
+      console.log(chalk.gray('Run `cuecli backup list` to see available backups'));
+      process.exit(1);
+    }
+    if (!backup.valid) {
+      console.error(chalk.red(`Error: Backup '${backup.id}' is not valid JSON`));
+      process.exit(1);
+    }
+
+    const data = storage.readBackup(backup.file, scope);
+    const backupPrompts = data.prompts || {};
+    const current = storage.getAllPrompts(scope);
+    const changes = compareLibraries(backupPrompts, current);
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...backup, changes }, null, 2));
+      return;
+    }
+
+    console.log();
+    console.log(chalk.cyan.bold(`Backup ${backup.id}`));
+    console.log(chalk.gray(`${backup.created.toISOString()} • ${backup.promptCount} prompt(s)`));
+    console.log(chalk.gray('──────────────────────────────────────────────────'));
+    console.log();
+
+    const markers = {
+      unchanged: chalk.gray('  '),
+      changed: chalk.yellow('~ '),
+      removed: chalk.red('- '),
+      added: chalk.green('+ ')
+    };
+    const notes = {
+      unchanged: '',
+      changed: chalk.yellow(' (changed since backup)'),
+      removed: chalk.red(' (deleted since backup)'),
+      added: chalk.green(' (added since backup)')
+    };
+
+    const rows = [
+      ...changes.unchanged.map(name => ['unchanged', name]),
+      ...changes.changed.map(name => ['changed', name]),
+      ...changes.removed.map(name => ['removed', name]),
+      ...changes.added.map(name => ['added', name])
+    ].sort((a, b) => a[1].localeCompare(b[1]));
+
+    for (const [status, name] of rows) {
+      const prompt = backupPrompts[name] || current[name];
+      console.log(markers[status] + chalk.white(name), chalk.gray(`v${prompt.version || 1}`) + notes[status]);
+
+      if (options.diff && status === 'changed') {
+        const diff = unifiedDiff(backupPrompts[name].content || '', current[name].content || '', {
+          fromFile: `${name} (backup)`,
+          toFile: `${name} (current)`
+        });
+        diff.split('\n').forEach(line => console.log('    ' + colorizeDiffLine(line)));
+      }
+    }
+
+    console.log();
+    console.log(chalk.gray('vs current: ') + formatChangeSummary(changes));
+    console.log(chalk.gray(`Use \`cuecli backup restore ${backup.index}\` to restore all, or add --prompts <names...>`));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Restore a backup, either the whole library or selected prompts
+ */
+export async function backupRestoreCommand(ref, options) {
+  try {
+    const scope = { scope: options.scope || 'global' };
+    const backup = storage.findBackup(ref, scope);
+    if (!backup) {
+      console.error(chalk.red(`Error: Backup '${ref}' not found`));
+      console.log(chalk.gray('Run `cuecli backup list` to see available backups'));
+      process.exit(1);
+    }
+    if (!backup.valid) {
+      console.error(chalk.red(`Error: Backup '${backup.id}' is not valid JSON`));
+      process.exit(1);
+    }
+
+    const data = storage.readBackup(backup.file, scope);
+    const backupPrompts = data.prompts || {};
+    const selected = options.prompts && options.prompts.length > 0 ? options.prompts : null;
+
+    if (selected) {
+      const missing = selected.filter(name => !backupPrompts[name]);
+      if (missing.length > 0) {
+        console.error(chalk.red(`Error: Not in backup: ${missing.join(', ')}`));
+        process.exit(1);
+      }
+    }
+
+    const changes = compareLibraries(backupPrompts, storage.getAllPrompts(scope));
+    const details = {
+      'Backup': backup.id,
+      'Scope': selected ? `${selected.length} prompt(s)` : `Whole library (${backup.promptCount} prompt(s))`
+    };
+    if (!selected) {
+      details['Changes'] = formatChangeSummary(changes, false);
+    }
+
+    const result = await executor.verifyAction('restore', details, async () => {
+      const restored = storage.restoreBackup(backup.file, selected, scope);
+      console.log(chalk.green('✓'), `Restored ${restored.length} prompt(s) from ${backup.id}`);
+      if (!selected) {
+        console.log(chalk.gray('  The previous library was backed up first'));
+      }
+      return restored;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Take a backup of the current library on demand
+ */
+export async function backupCreateCommand(options = {}) {
+  try {
+    const scope = { scope: options.scope || 'global' };
+    if (!config.get('backup.enabled', true)) {
+      console.error(chalk.red('Error: Backups are disabled (backup.enabled = false)'));
+      process.exit(1);
+    }
+
+    const file = storage.createBackup(scope);
+    if (!file) {
+      console.error(chalk.red('Error: Failed to create backup'));
+      process.exit(1);
+    }
+
+    console.log(chalk.green('✓'), `Created backup ${file}`);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Compare a backup's prompts against the current ones.
+ * "added" are prompts that only exist now, "removed" only exist in the backup.
+ */
+function compareLibraries(backupPrompts, currentPrompts) {
+  const changes = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const [name, prompt] of Object.entries(backupPrompts)) {
+    const now = currentPrompts[name];
+    if (!now) {
+      changes.removed.push(name);
+    } else if (
+      now.content !== prompt.content ||
+      now.description !== prompt.description ||
+      JSON.stringify(now.tags || []) !== JSON.stringify(prompt.tags || [])
+    ) {
+      changes.changed.push(name);
+    } else {
+      changes.unchanged.push(name);
+    }
+  }
+
+  for (const name of Object.keys(currentPrompts)) {
+    if (!backupPrompts[name]) {
+      changes.added.push(name);
+    }
+  }
+
+  return changes;
+}
+
+function formatChangeSummary(changes, colors = true) {
+  const paint = (color, text) => (colors ? chalk[color](text) : text);
+  const parts = [];
+  if (changes.added.length > 0) parts.push(paint('green', `+${changes.added.length} added`));
+  if (changes.removed.length > 0) parts.push(paint('red', `-${changes.removed.length} deleted`));
+  if (changes.changed.length > 0) parts.push(paint('yellow', `~${changes.changed.length} changed`));
+  return parts.length > 0 ? parts.join(', ') : paint('gray', 'identical');
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,80 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import { treePrefix } from '../utils/namespace.js';
+
+/**
+ * Show the prompts a prompt includes with {{> name}}, and the prompts they
+ * include in turn; with --reverse, the prompts that include it
+ */
+export async function depsCommand(requestedName, options = {}) {
+  try {
+    const name = storage.resolveName(requestedName) || requestedName;
+    if (!storage.promptExists(name)) {
+      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+      console.log(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    const tree = buildTree(name, options.reverse ? dependentsOf : includesOf, [name]);
+
+    if (options.json) {
+      console.log(JSON.stringify(tree, null, 2));
+      return;
+    }
+
+    if (tree.children.length === 0) {
+      console.log(chalk.gray(options.reverse ? `No prompt includes '${name}'` : `'${name}' includes no prompts`));
+      return;
+    }
+
+    console.log(chalk.cyan.bold(name) + chalk.gray(options.reverse ? ' is included by' : ' includes'));
+    const visit = (node, ancestorsLast) => {
+      node.children.forEach((child, i) => {
+        const last = [...ancestorsLast, i === node.children.length - 1];
+        console.log(chalk.gray(treePrefix({ ancestorsLast: last })) + formatNode(child));
+        visit(child, last);
+      });
+    };
+    visit(tree, []);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// [{ name, found }] one level down
+function includesOf(name) {
+  return storage.getIncludes(name);
+}
+
+function dependentsOf(name) {
+  return storage.getDependents(name).map(dependent => ({ name: dependent, found: true }));
+}
+
+// { name, found, cycle, children }, stopping at prompts already on the path
+function buildTree(name, next, path) {
+  return {
+    name,
+    found: true,
+    cycle: false,
+    children: next(name).map(child => {
+      if (!child.found) {
+        return { ...child, cycle: false, children: [] };
+      }
+      if (path.includes(child.name)) {
+        return { ...child, cycle: true, children: [] };
+      }
+      return buildTree(child.name, next, [...path, child.name]);
+    })
+  };
+}
+
+function formatNode(node) {
+  if (!node.found) {
+    return chalk.red(node.name) + chalk.red(' (not found)');
+  }
+  if (node.cycle) {
+    return chalk.yellow(node.name) + chalk.yellow(' (cycle)');
+  }
+  return chalk.white(node.name);
+}
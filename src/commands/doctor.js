@@ -0,0 +1,95 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import executor from '../core/executor.js';
+import { SCHEMA_VERSION, formatProblems } from '../storage/schema.js';
+import { validateTemplate } from '../utils/template.js';
+
+/**
+ * Check every library for invalid prompt records, and repair them with --fix.
+ * Malformed templates are listed as warnings; they are left for `edit`.
+ */
+export async function doctorCommand(options = {}) {
+  try {
+    const scopes = options.scope
+      ? [storage.validateScope(options.scope)]
+      : storage.hasProject() ? ['project', 'global'] : ['global'];
+
+    const reports = scopes.map(scope => ({
+      scope,
+      location: storage.getLocation({ scope }),
+      backend: storage.getBackendType({ scope }),
+      schemaVersion: storage.getSchemaVersion({ scope }),
+      prompts: Object.keys(storage.getAllPrompts({ scope })).length,
+      invalid: storage.checkPrompts({ scope }),
+      templates: checkTemplates(storage.getAllPrompts({ scope }))
+    }));
+    const total = reports.reduce((sum, report) => sum + report.invalid.length, 0);
+
+    if (options.json) {
+      console.log(JSON.stringify(reports, null, 2));
+      if (total > 0 && !options.fix) {
+        process.exit(1);
+      }
+    } else {
+      console.log();
+      console.log(chalk.cyan.bold('cueCLI Doctor'));
+      console.log(chalk.gray('──────────────────────────────────────────────────'));
+      console.log();
+
+      for (const report of reports) {
+        console.log(chalk.cyan('•'), chalk.white(report.scope), chalk.gray(report.location));
+        console.log(chalk.gray(`     Schema v${report.schemaVersion} (current v${SCHEMA_VERSION}) • ${report.backend} backend • ${report.prompts} prompt(s)`));
+
+        if (report.invalid.length === 0) {
+          console.log(chalk.green('     ✓ All prompts are valid'));
+        } else {
+          for (const { name, problems } of report.invalid) {
+            console.log(chalk.red('     ✗ ') + chalk.white(name) + chalk.gray(': ' + formatProblems(problems)));
+          }
+        }
+        for (const { name, message } of report.templates) {
+          console.log(chalk.yellow('     ⚠ ') + chalk.white(name) + chalk.gray(`: template: ${message}`));
+        }
+        console.log();
+      }
+    }
+
+    if (total === 0) {
+      return;
+    }
+
+    if (!options.fix) {
+      console.log(chalk.yellow(`${total} invalid prompt(s). Run \`cuecli doctor --fix\` to repair them`));
+      process.exit(1);
+    }
+
+    const result = await executor.verifyAction('repair', {
+      'Prompts': `${total} invalid prompt(s)`,
+      'Scope': reports.filter(r => r.invalid.length > 0).map(r => r.scope).join(', ')
+    }, async () => {
+      for (const report of reports.filter(r => r.invalid.length > 0)) {
+        const repaired = storage.repairPrompts({ scope: report.scope });
+        console.log(chalk.green('✓'), `Repaired ${repaired.length} prompt(s) in the ${report.scope} library`);
+      }
+      return true;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+    if (result.error) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// [{ name, message }] for each prompt whose template does not parse
+function checkTemplates(prompts) {
+  return Object.entries(prompts)
+    .map(([name, prompt]) => ({ name, error: validateTemplate(prompt.content || '') }))
+    .filter(({ error }) => error)
+    .map(({ name, error }) => ({ name, message: error.message }));
+}
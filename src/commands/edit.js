@@ -3,33 +3,44 @@ import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
-import storage from '../storage/local.js';
+import storage from '../storage/library.js';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
 import { copyToClipboardSilent } from '../utils/clipboard.js';
 import { showDirectiveSummary, showPreview } from '../utils/ux.js';
+import { extractVariables, validateTemplate } from '../utils/template.js';
 
 /**
  * Edit an existing prompt using the configured editor
  */
 export async function editCommand(name, options) {
   try {
-    // Check if prompt exists
-    const prompt = storage.getPrompt(name);
+    // Check if prompt exists (in the requested scope, if any)
+    const prompt = storage.getPrompt(name, { scope: options.scope });
     if (!prompt) {
-      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+      const where = options.scope ? ` in the ${options.scope} library` : '';
+      console.error(chalk.red(`Error: Prompt '${name}' not found${where}`));
       console.log(chalk.gray('Run `cuecli list` to see available prompts'));
       process.exit(1);
     }
 
-    // If only description is being updated, skip opening the editor
-    if (options.desc && !options.editor) {
+    const scope = storage.resolveScope(name, options.scope);
+
+    // An empty --interpreter goes back to the shebang
+    const interpreter = options.interpreter === undefined ? prompt.interpreter : options.interpreter || undefined;
+    // --sandbox requires the sandbox for --execute, --no-sandbox lifts that
+    const sandbox = options.sandbox === undefined ? prompt.sandbox : options.sandbox || undefined;
+
+    // If only the description, interpreter or sandbox is being updated, skip opening the editor
+    if ((options.desc || options.interpreter !== undefined || options.sandbox !== undefined) && !options.editor) {
       const newContent = prompt.content || '';
       storage.setPrompt(name, {
         ...prompt,
-        description: options.desc,
+        description: options.desc ?? prompt.description,
+        interpreter,
+        sandbox,
         content: newContent,
-      });
+      }, { scope });
 
       // Preview-first (always show; non-TTY won't prompt later)
       showPreview(name, newContent, 10);
@@ -94,12 +105,22 @@ export async function editCommand(name, options) {
       return;
     }
     
-    // Update prompt (content + optional description)
+    // A malformed template is saved, with a warning, keeping the variables it had
+    const templateError = validateTemplate(newContent);
+    if (templateError) {
+      console.log(chalk.yellow('⚠ Template error:'), templateError.message);
+    }
+    const variables = templateError ? prompt.variables || [] : extractVariables(newContent);
+
+    // Update prompt (content, variables + optional description)
     storage.setPrompt(name, {
       ...prompt,
       content: newContent,
+      variables,
       description: options.desc ?? prompt.description,
-    });
+      interpreter,
+      sandbox,
+    }, { scope });
     
     // Preview-first (always show; non-TTY won't prompt later)
     showPreview(name, newContent, 10);
@@ -115,7 +136,7 @@ export async function editCommand(name, options) {
       name,
       content: newContent,
       tags: prompt.tags || [],
-      variables: prompt.variables || [],
+      variables,
     });
     
   } catch (error) {
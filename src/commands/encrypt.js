@@ -0,0 +1,139 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import config from '../config/config.js';
+import executor from '../core/executor.js';
+import { hasPassphrase, setPassphrase } from '../storage/encryption.js';
+import { askSecret } from '../utils/ux.js';
+
+/**
+ * Ask for the passphrase up front when a library in use is encrypted and
+ * CUECLI_PASSPHRASE is not set. Storage reads are synchronous, so they
+ * cannot prompt on their own.
+ */
+export async function unlockLibraries() {
+  if (hasPassphrase() || !process.stdin.isTTY) {
+    return;
+  }
+
+  const encrypted = storage.getLayers().some(([, store]) => store.backend.type === 'encrypted');
+  if (encrypted) {
+    setPassphrase(await askSecret('Passphrase for the prompt library: '));
+  }
+}
+
+/**
+ * Encrypt a library and its backups with a passphrase. Without a terminal
+ * it takes CUECLI_PASSPHRASE and --yes.
+ */
+export async function encryptCommand(options = {}) {
+  try {
+    const scope = options.scope || 'global';
+    if (storage.getBackendType({ scope }) === 'encrypted') {
+      console.log(chalk.yellow(`The ${scope} library is already encrypted`));
+      return;
+    }
+    requireConfirmation('Encrypting', options);
+
+    if (!hasPassphrase()) {
+      if (!process.stdin.isTTY) {
+        console.error(chalk.red('Error: Set CUECLI_PASSPHRASE to encrypt without a terminal'));
+        process.exit(1);
+      }
+
+      const passphrase = await askSecret('New passphrase: ');
+      if (!passphrase) {
+        console.error(chalk.red('Error: The passphrase cannot be empty'));
+        process.exit(1);
+      }
+      if (await askSecret('Repeat passphrase: ') !== passphrase) {
+        console.error(chalk.red('Error: Passphrases do not match'));
+        process.exit(1);
+      }
+      setPassphrase(passphrase);
+    }
+
+    const count = Object.keys(storage.getAllPrompts({ scope })).length;
+    const backups = storage.listBackups({ scope }).length;
+    const result = await executor.verifyAction('encrypt', {
+      'Library': `${scope} (${count} prompt(s))`,
+      'Backups': `${backups} backup(s), encrypted too`
+    }, async () => {
+      const migration = storage.migrate('encrypted', { scope });
+
+      // New global libraries should be encrypted too
+      if (scope === 'global') {
+        config.set('storage.backend', 'encrypted');
+      }
+
+      console.log(chalk.green('✓'), `Encrypted ${migration.count} prompt(s) and ${migration.backups} backup(s)`);
+      console.log(chalk.gray(`  Library is now at ${storage.getLocation({ scope })}`));
+      console.log(chalk.yellow('  Keep the passphrase safe: the library cannot be read without it'));
+      return migration;
+    }, { confirmed: options.yes });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+    if (result.error) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Turn an encrypted library and its backups back into plaintext. Without a
+ * terminal it takes CUECLI_PASSPHRASE and --yes.
+ */
+export async function decryptCommand(options = {}) {
+  try {
+    const scope = options.scope || 'global';
+    const target = options.to || 'json';
+    if (storage.getBackendType({ scope }) !== 'encrypted') {
+      console.log(chalk.yellow(`The ${scope} library is not encrypted`));
+      return;
+    }
+    if (target === 'encrypted') {
+      console.error(chalk.red('Error: --to must be a plaintext backend (json or markdown)'));
+      process.exit(1);
+    }
+    requireConfirmation('Decrypting', options);
+
+    // Reading the library checks the passphrase before anything is changed
+    const count = Object.keys(storage.getAllPrompts({ scope })).length;
+    const result = await executor.verifyAction('decrypt', {
+      'Library': `${scope} (${count} prompt(s))`,
+      'To': target
+    }, async () => {
+      const migration = storage.migrate(target, { scope });
+
+      if (scope === 'global') {
+        config.set('storage.backend', target);
+      }
+
+      console.log(chalk.green('✓'), `Decrypted ${migration.count} prompt(s) and ${migration.backups} backup(s)`);
+      console.log(chalk.gray(`  Library is now at ${storage.getLocation({ scope })}`));
+      return migration;
+    }, { confirmed: options.yes });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+    if (result.error) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Without a terminal there is no one to confirm, so --yes is required
+function requireConfirmation(action, options) {
+  if (!options.yes && !process.stdin.isTTY) {
+    console.error(chalk.red('Error:'), `${action} a library without a terminal needs --yes`);
+    process.exit(1);
+  }
+}
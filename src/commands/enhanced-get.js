@@ -1,22 +1,39 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
-import storage from '../storage/local.js';
-import { substituteVariables, parseVariables } from '../utils/template.js';
+import storage from '../storage/library.js';
+import { substituteVariables, findMissingVariables, extractVariables } from '../utils/template.js';
+import { describeVariable, checkValue, getDeclaredDefaults, validateValues } from '../utils/variables.js';
+import { loadVariables } from '../utils/variable-sources.js';
 import sanitizer from '../utils/sanitizer.js';
 import logger from '../utils/logger.js';
-import executor from '../core/executor.js';
+import executor, { resolveInterpreter, planExecution } from '../core/executor.js';
+import { preparePrompt, scanValues } from '../core/renderer.js';
 import { copyToClipboardSilent } from '../utils/clipboard.js';
-import { showDirectiveSummary, showPreview } from '../utils/ux.js';
+import { parseDuration } from '../utils/duration.js';
+import { askVariables, showDirectiveSummary, showPreview } from '../utils/ux.js';
+
+// Environment variables a dry run does not show the values of
+const SECRET_NAME = /TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIAL|API_?KEY|PRIVATE_?KEY/i;
+
+// Options that only apply to --execute
+const EXECUTE_OPTIONS = { dryRun: '--dry-run', sandbox: '--sandbox', allowEnv: '--allow-env' };
 
 /**
  * Enhanced get command with multiple output options and sanitization
  */
-export async function getCommand(name, options) {
+export async function getCommand(requestedName, options) {
   const startTime = Date.now();
 
   try {
-    // Get the prompt
+    const stray = Object.keys(EXECUTE_OPTIONS).filter(option => options[option] !== undefined);
+    if (!options.execute && stray.length > 0) {
+      const flags = stray.map(option => EXECUTE_OPTIONS[option]).join(' and ');
+      throw new Error(`${flags} only ${stray.length === 1 ? 'applies' : 'apply'} with --execute`);
+    }
+
+    // Get the prompt; a leaf name like `owasp` finds `review/security/owasp`
+    const name = storage.resolveName(requestedName) || requestedName;
     const prompt = storage.getPrompt(name);
     
     if (!prompt) {
@@ -27,11 +44,37 @@ export async function getCommand(name, options) {
 
     let content = prompt.content || '';
 
-    // Handle variable substitution if provided
-    if (options.vars && options.vars.length > 0) {
-      const variables = parseVariables(options.vars);
-      content = substituteVariables(content, variables);
+    // Included prompts ({{> name}}) are rendered in place, and their
+    // declarations apply where the prompt does not declare a variable itself
+    const { prompt: declared, prompts, renderOptions } = preparePrompt(name, prompt);
+
+    // Fill in variables (from --vars-file and --vars, which can read files,
+    // stdin, the environment and commands), asking for missing ones in a
+    // terminal. Without one, placeholders left without a value are refused
+    // unless --allow-missing. Values are checked against the prompt's
+    // declarations before use
+    const loaded = await loadVariables(options);
+    let variables = loaded.values;
+    if (process.stdin.isTTY && process.stderr.isTTY) {
+      variables = await askMissingVariables(name, declared, variables, options, renderOptions);
+    }
+    const { values, problems } = validateValues(declared, { ...getDeclaredDefaults(declared), ...variables });
+    if (problems.length > 0) {
+      reportInvalidValues(name, problems);
+      process.exit(1);
+    }
+    const scanned = scanValues(values, Object.keys(variables), options.raw);
+    reportFlaggedValues(scanned.flagged, loaded.sources, options);
+    try {
+      content = substituteVariables(content, scanned.values, { ...renderOptions, strict: !options.allowMissing });
+    } catch (error) {
+      if (error.code !== 'EMISSINGVARS') {
+        throw error;
+      }
+      reportMissingVariables(declared, error);
+      process.exit(1);
     }
+    rememberValues(name, prompts, Object.fromEntries(Object.keys(variables).map(key => [key, values[key]])));
 
     // Always scan for sensitive data
     const findings = sanitizer.scan(content);
@@ -61,22 +104,56 @@ export async function getCommand(name, options) {
 
     // Detection & guardrails
     const hasShebang = detectShebang(content);
-    const isExecutable = hasShebang || prompt?.executable === true;
+    const isExecutable = hasShebang || prompt?.executable === true || Boolean(prompt?.interpreter);
 
-    // Handle explicit execution flag (power users)
+    // Handle explicit execution flag (power users). The prompt runs with
+    // its variables filled in, by its interpreter or shebang, and cuecli
+    // exits with its exit code. A prompt marked `sandbox` only runs in the
+    // sandbox; --dry-run shows what would run instead
     if (options.execute) {
       if (!isExecutable) {
         console.error('This prompt is non-executable content. Use --stdout or --file.');
         process.exit(1);
       }
-      // Only execute on explicit confirmation in TTY
-      if (process.stdout.isTTY) {
-        const runner = process.platform === 'win32' ? 'cmd.exe' : '/bin/sh';
-        const confirmed = await confirmOneLine(`About to run this prompt via ${runner}. Run? [y/N]`);
-        if (confirmed) {
-          await executor.execute(content, name);
+      const timeout = options.timeout === undefined ? undefined : parseTimeout(options.timeout);
+      const run = {
+        interpreter: prompt.interpreter,
+        timeout,
+        sandbox: Boolean(options.sandbox || prompt.sandbox),
+        allowEnv: options.allowEnv
+      };
+      // Without the sandbox the whole environment is inherited anyway
+      if (options.allowEnv && !run.sandbox) {
+        throw new Error('--allow-env only applies with --sandbox or to a prompt marked sandbox');
+      }
+
+      if (options.dryRun) {
+        showDryRun(name, content, run, {
+          prompt,
+          names: new Set(prompts.flatMap(other => extractVariables(other.content || ''))),
+          values: scanned.values,
+          given: variables,
+          sources: loaded.sources,
+          raw: options.raw
+        });
+        return;
+      }
+
+      // Only execute on explicit confirmation in TTY, or with --yes
+      if (!options.yes && !process.stdout.isTTY) {
+        console.error(chalk.red('Error:'), 'Running a prompt without a terminal needs --yes');
+        process.exit(1);
+      }
+      if (!options.yes) {
+        const runner = resolveInterpreter(content, prompt.interpreter).label;
+        const where = run.sandbox ? ' in the sandbox' : '';
+        const confirmed = await confirmOneLine(`About to run this prompt via ${runner}${where}. Run? [y/N]`);
+        if (!confirmed) {
+          return;
         }
       }
+      const result = await executor.execute(content, name, run);
+      process.exitCode = result.exitCode;
       return;
     }
 
@@ -146,6 +223,81 @@ export async function getCommand(name, options) {
   }
 }
 
+/**
+ * Ask for the variables a prompt still needs, showing what it declares
+ * about each and the value last used. Answers can bring more placeholders
+ * into play (an {{#each}} list), so this repeats until none are missing.
+ */
+async function askMissingVariables(name, prompt, variables, options, renderOptions) {
+  const lastUsed = storage.getLastUsedValues(name);
+  const defaults = getDeclaredDefaults(prompt);
+  const values = { ...variables };
+
+  for (;;) {
+    const missing = findMissingVariables(prompt.content || '', { ...defaults, ...values }, renderOptions);
+    const names = [...missing.required, ...(options.allowMissing ? [] : missing.optional)];
+    if (names.length === 0) {
+      return values;
+    }
+
+    Object.assign(values, await askVariables(names.map(key => ({
+      ...describeVariable(prompt, key),
+      lastUsed: lastUsed[key],
+      required: missing.required.includes(key),
+      check: value => checkValue(prompt.declarations?.[key], value)
+    }))));
+  }
+}
+
+function reportInvalidValues(name, problems) {
+  console.error(chalk.red(`Error: Invalid value${problems.length === 1 ? '' : 's'} for:`));
+  for (const { name, message } of problems) {
+    console.error(`  - ${name}: ${message}`);
+  }
+  console.error(chalk.gray(`Run 'cuecli vars ${name}' to see what the prompt expects`));
+}
+
+function reportMissingVariables(prompt, error) {
+  console.error(chalk.red(`Error: Missing value${error.missing.length === 1 ? '' : 's'} for:`));
+  for (const key of error.missing) {
+    const { description } = describeVariable(prompt, key);
+    const required = error.required.includes(key) ? chalk.yellow(' (required)') : '';
+    console.error(`  - ${key}${required}${description ? chalk.gray(` - ${description}`) : ''}`);
+  }
+
+  const hint = `Pass ${error.missing.length === 1 ? 'it' : 'them'} with --vars ${error.missing.map(key => `${key}=...`).join(' ')}`;
+  console.error(chalk.gray(error.required.length === 0 ? `${hint}, or use --allow-missing to keep the placeholders` : hint));
+}
+
+// Where each value the sanitizer flagged came from, and what it found
+function reportFlaggedValues(flagged, sources, options) {
+  for (const { key, types, redacted } of flagged) {
+    const from = sources[key] ? ` (from ${sources[key]})` : '';
+    if (options.raw) {
+      console.error(chalk.red(`⚠️  WARNING: ${key}${from} contains sensitive data: ${types.join(', ')}`));
+    } else {
+      console.error(chalk.yellow(`🔒 Sanitized ${redacted} sensitive item(s) in ${key}${from}: ${types.join(', ')}`));
+    }
+  }
+}
+
+// Keep the values the prompts use for next time, except any the sanitizer flags
+function rememberValues(name, prompts, variables) {
+  const names = new Set(prompts.flatMap(prompt => extractVariables(prompt.content || '')));
+  const used = Object.fromEntries([...names]
+    .filter(key => Object.hasOwn(variables, key) && sanitizer.scan(String(variables[key])).length === 0)
+    .map(key => [key, variables[key]]));
+  if (Object.keys(used).length === 0) {
+    return;
+  }
+
+  try {
+    storage.rememberValues(name, used);
+  } catch (error) {
+    logger.debug('Could not remember variable values', { error: error.message });
+  }
+}
+
 /**
  * Handle special output formats
  */
@@ -224,6 +376,71 @@ function detectShebang(content) {
   return false;
 }
 
+/**
+ * What `get --execute` would run, without running it: the interpreter,
+ * the variables filled in and where each came from, the working directory,
+ * the environment (values sanitized, and hidden for names like API_TOKEN,
+ * unless --raw) and the prompt itself
+ */
+function showDryRun(name, content, run, { prompt, names, values, given, sources, raw }) {
+  const plan = planExecution(content, { ...run, dir: '<new temporary directory>' });
+  const label = text => chalk.gray(text.padEnd(13));
+  const clean = (key, value) => {
+    if (raw) return value;
+    return SECRET_NAME.test(key) ? '[hidden]' : sanitizer.sanitize(value);
+  };
+
+  console.log(chalk.cyan.bold(`Dry run of ${name}`) + chalk.gray(' (nothing is executed)'));
+  console.log(label('Interpreter') + `${plan.label} <prompt file>`);
+  if (plan.sandbox) {
+    const { limits, limiter } = plan.sandbox;
+    const why = prompt.sandbox ? ' (required by the prompt)' : '';
+    console.log(label('Sandbox') + `yes${why}`);
+    console.log(label('Limits') + (limiter
+      ? `CPU ${limits.cpu}s, memory ${formatBytes(limits.memory)}, file size ${formatBytes(limits.fileSize)}, ${limits.openFiles} open files (via ${limiter})`
+      : 'not available on this system'));
+  } else {
+    console.log(label('Sandbox') + 'no');
+  }
+  console.log(label('Timeout') + (run.timeout ? `${run.timeout / 1000}s` : 'none'));
+  console.log(label('Cwd') + plan.cwd);
+
+  console.log(chalk.gray('Variables'));
+  if (names.size === 0) {
+    console.log(chalk.gray('  (none)'));
+  }
+  for (const key of [...names].sort()) {
+    if (!Object.hasOwn(values, key)) {
+      console.log(`  ${key}` + chalk.gray(' (no value)'));
+      continue;
+    }
+    const from = sources[key] || (Object.hasOwn(given, key) ? 'asked' : 'default');
+    console.log(`  ${key}=${JSON.stringify(String(values[key]))}` + chalk.gray(` (${from})`));
+  }
+
+  const env = Object.entries(plan.env).sort(([a], [b]) => a.localeCompare(b));
+  console.log(chalk.gray(`Environment (${plan.sandbox ? 'allowlisted' : 'inherited'}, ${env.length} variables)`));
+  for (const [key, value] of env) {
+    console.log(`  ${key}=${clean(key, value)}`);
+  }
+
+  console.log(chalk.gray('Prompt'));
+  console.log(content);
+}
+
+function formatBytes(bytes) {
+  return bytes >= 1024 ** 3 ? `${bytes / 1024 ** 3} GB` : `${bytes / 1024 ** 2} MB`;
+}
+
+// --timeout: a duration like 90s or 5m, or a number of seconds; in ms
+function parseTimeout(value) {
+  const timeout = /^\d+$/.test(String(value).trim()) ? Number(value) * 1000 : parseDuration(value);
+  if (timeout <= 0) {
+    throw new Error('--timeout must be longer than zero');
+  }
+  return timeout;
+}
+
 async function confirmOneLine(message) {
   return await new Promise(resolve => {
     process.stdout.write(`${message} `);
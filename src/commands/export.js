@@ -1,9 +1,13 @@
 import chalk from 'chalk';
 import fs from 'fs-extra';
 import path from 'path';
-import storage from '../storage/local.js';
+import storage from '../storage/library.js';
 import sanitizer from '../utils/sanitizer.js';
 import executor from '../core/executor.js';
+import { compareRevisions, getLineage, mergePrompts, revisionId } from '../storage/revisions.js';
+import { chooseConflictResolution } from '../utils/ux.js';
+
+const IMPORT_LABELS = { ours: 'local', theirs: 'imported' };
 
 /**
  * Export prompts in various formats
@@ -17,7 +21,13 @@ export async function exportCommand(options) {
     const exportData = {};
     for (const name of promptNames) {
       if (prompts[name]) {
-        exportData[name] = prompts[name];
+        // Revision history stays local; only the current version is shared,
+        // with the ids of earlier versions so `import --merge` can find the
+        // version both sides started from
+        const prompt = { ...prompts[name], ancestors: getLineage(prompts[name]).slice(0, -1) };
+        delete prompt.history;
+        delete prompt.revision;
+        exportData[name] = prompt;
       }
     }
     
@@ -171,7 +181,7 @@ export async function importCommand(file, options) {
     const importDetails = {
       'Source': filePath,
       'Prompts': `${promptCount} prompt(s)`,
-      'Strategy': options.overwrite ? 'Overwrite existing' : options.merge ? 'Merge with existing' : 'Skip existing'
+      'Strategy': options.overwrite ? 'Overwrite existing' : options.merge ? 'Three-way merge with existing' : 'Skip existing'
     };
     
     // Check for existing prompts
@@ -186,21 +196,24 @@ export async function importCommand(file, options) {
       let imported = 0;
       let skipped = 0;
       let updated = 0;
+      let current = 0;
+      const conflicted = [];
       
       for (const [name, promptData] of Object.entries(promptsToImport)) {
         const exists = storage.promptExists(name);
         
         if (exists && !options.overwrite) {
           if (options.merge) {
-            // Merge tags and keep newer content
-            const existing = storage.getPrompt(name);
-            const merged = {
-              ...existing,
-              ...promptData,
-              tags: [...new Set([...(existing.tags || []), ...(promptData.tags || [])])],
-            };
-            storage.setPrompt(name, merged);
-            updated++;
+            const outcome = await mergeImported(name, promptData);
+            if (outcome === 'current') {
+              current++;
+            } else {
+              updated++;
+              if (outcome === 'conflict') conflicted.push(name);
+            }
+            if (options.verbose) {
+              console.log(chalk.blue(`  ${MERGE_OUTCOMES[outcome]}: ${name}`));
+            }
           } else {
             skipped++;
             if (options.verbose) {
@@ -220,9 +233,14 @@ export async function importCommand(file, options) {
       console.log(chalk.green('✓'), 'Import complete:');
       if (imported > 0) console.log(chalk.green(`  ${imported} prompt(s) imported`));
       if (updated > 0) console.log(chalk.blue(`  ${updated} prompt(s) merged`));
+      if (current > 0) console.log(chalk.gray(`  ${current} prompt(s) already up to date`));
       if (skipped > 0) console.log(chalk.yellow(`  ${skipped} prompt(s) skipped`));
+      if (conflicted.length > 0) {
+        console.log(chalk.yellow(`  Conflicting changes were kept with conflict markers in: ${conflicted.join(', ')}`));
+        console.log(chalk.gray('  Edit these prompts (`cuecli edit <name>`) to resolve them'));
+      }
       
-      return { imported, updated, skipped };
+      return { imported, updated, skipped, current, conflicted };
     });
     
     if (!result.confirmed) {
@@ -240,6 +258,65 @@ export async function importCommand(file, options) {
   }
 }
 
+const MERGE_OUTCOMES = {
+  current: 'Up to date',
+  updated: 'Updated',
+  merged: 'Merged',
+  conflict: 'Conflicts'
+};
+
+/**
+ * Three-way merge of an imported prompt into the local one, against the
+ * newest version both have in their history. Returns 'current' when the
+ * local prompt is kept, 'updated' when the imported one replaces it,
+ * 'merged' for a clean merge and 'conflict' for a merge with conflict
+ * markers. Conflicts are settled interactively in a terminal.
+ */
+async function mergeImported(name, incoming) {
+  const local = storage.getPrompt(name);
+  const { status, base } = compareRevisions(local, incoming);
+
+  if (status === 'same' || status === 'ours') {
+    return 'current';
+  }
+  if (status === 'theirs') {
+    storage.setPrompt(name, incoming);
+    return 'updated';
+  }
+
+  const { fields, conflicts } = mergePrompts(base, local, incoming, IMPORT_LABELS);
+  if (conflicts.length === 0) {
+    // Already merged by an earlier import
+    if (revisionId(fields) === revisionId(local)) {
+      return 'current';
+    }
+    storage.setPrompt(name, { ...local, ...fields }, { mergedFrom: incoming });
+    return 'merged';
+  }
+
+  const choice = process.stdin.isTTY && process.stdout.isTTY
+    ? await chooseConflictResolution({ name, ours: local, theirs: incoming, fields: conflicts, labels: IMPORT_LABELS })
+    : 'markers';
+  if (choice === 'ours') {
+    return 'current';
+  }
+  if (choice === 'theirs') {
+    storage.setPrompt(name, incoming);
+    return 'updated';
+  }
+  storage.setPrompt(name, { ...local, ...fields }, { mergedFrom: incoming });
+  return 'conflict';
+}
+
+// `enum: a, b, c; default: a; pattern: ...` for a variable declaration
+function describeDeclaration(declaration) {
+  return [
+    declaration.type === 'enum' ? `enum: ${declaration.values.join(', ')}` : declaration.type,
+    declaration.default !== undefined ? `default: ${declaration.default}` : null,
+    declaration.pattern ? `pattern: /${declaration.pattern}/` : null
+  ].filter(Boolean).join('; ');
+}
+
 /**
  * Generate markdown export format
  */
@@ -260,6 +337,14 @@ function generateMarkdownExport(exportPackage) {
     if (prompt.variables && prompt.variables.length > 0) {
       markdown += `**Variables:** ${prompt.variables.join(', ')}\n\n`;
     }
+
+    if (prompt.declarations && Object.keys(prompt.declarations).length > 0) {
+      for (const [variable, declaration] of Object.entries(prompt.declarations)) {
+        markdown += `- \`${variable}\` (${describeDeclaration(declaration)})`;
+        markdown += declaration.description ? ` - ${declaration.description}\n` : '\n';
+      }
+      markdown += '\n';
+    }
     
     markdown += `\`\`\`\n${prompt.content || ''}\n\`\`\`\n\n`;
     
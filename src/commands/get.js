@@ -1,5 +1,5 @@
 import chalk from 'chalk';
-import storage from '../storage/local.js';
+import storage from '../storage/library.js';
 import { copyToClipboard } from '../utils/clipboard.js';
 import { substituteVariables, parseVariables } from '../utils/template.js';
 
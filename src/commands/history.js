@@ -0,0 +1,167 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import executor from '../core/executor.js';
+import { unifiedDiff } from '../utils/diff.js';
+import { getRelativeTime, colorizeDiffLine } from '../utils/ux.js';
+
+/**
+ * Show every stored revision of a prompt
+ */
+export async function historyCommand(name, options) {
+  try {
+    const history = storage.getHistory(name);
+
+    if (!history) {
+      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+      console.log(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(history, null, 2));
+      return;
+    }
+
+    const current = history[history.length - 1];
+
+    console.log();
+    console.log(chalk.cyan.bold(`History of '${name}'`));
+    console.log(chalk.gray('──────────────────────────────────────────────────'));
+    console.log();
+
+    // Newest first, like `git log`
+    for (const revision of [...history].reverse()) {
+      const isCurrent = revision.version === current.version;
+      const when = revision.modified ? getRelativeTime(new Date(revision.modified)) : 'unknown';
+      const label = chalk.white(`v${revision.version}`) + (isCurrent ? chalk.green(' (current)') : '');
+      console.log(chalk.cyan('•'), label, chalk.gray(`${revision.revision} • ${when}`));
+
+      const summary = revision.description || firstLine(revision.content);
+      if (summary) {
+        console.log(chalk.gray(`     ${summary}`));
+      }
+      if (revision.tags && revision.tags.length > 0) {
+        console.log(chalk.gray('     Tags:'), chalk.blue(revision.tags.join(', ')));
+      }
+      console.log(chalk.gray(`     ${revision.content.split('\n').length} lines • ${revision.content.length} chars`));
+      console.log();
+    }
+
+    if (history.length > 1) {
+      console.log(chalk.gray(`Use \`cuecli diff ${name} <v1> <v2>\` to compare or \`cuecli revert ${name} <version>\` to restore`));
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Show a unified diff between two revisions of a prompt.
+ * Defaults to the previous revision against the current one.
+ */
+export async function diffCommand(name, fromVersion, toVersion, options = {}) {
+  try {
+    const history = storage.getHistory(name);
+
+    if (!history) {
+      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+      console.log(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    const current = history[history.length - 1];
+    const from = fromVersion !== undefined
+      ? findRevision(history, fromVersion)
+      : history[history.length - 2];
+    const to = toVersion !== undefined ? findRevision(history, toVersion) : current;
+
+    if (!from) {
+      if (fromVersion === undefined) {
+        console.log(chalk.yellow(`'${name}' has only one version; nothing to compare`));
+        return;
+      }
+      console.error(chalk.red(`Error: Version '${fromVersion}' of '${name}' not found`));
+      process.exit(1);
+    }
+    if (!to) {
+      console.error(chalk.red(`Error: Version '${toVersion}' of '${name}' not found`));
+      process.exit(1);
+    }
+
+    const diff = unifiedDiff(from.content, to.content, {
+      fromFile: `${name}@v${from.version}`,
+      toFile: `${name}@v${to.version}`,
+      context: options.context !== undefined ? Number(options.context) : 3
+    });
+
+    if (!diff) {
+      console.log(chalk.gray(`No content changes between v${from.version} and v${to.version}`));
+      return;
+    }
+
+    for (const line of diff.split('\n')) {
+      console.log(colorizeDiffLine(line));
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Restore an earlier revision of a prompt. The restored content is saved
+ * as a new version, so the revert itself can be undone.
+ */
+export async function revertCommand(name, version) {
+  try {
+    const history = storage.getHistory(name);
+
+    if (!history) {
+      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+      console.log(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    const revision = findRevision(history, version);
+    if (!revision) {
+      console.error(chalk.red(`Error: Version '${version}' of '${name}' not found`));
+      console.log(chalk.gray(`Run \`cuecli history ${name}\` to see available versions`));
+      process.exit(1);
+    }
+
+    const current = history[history.length - 1];
+    if (revision.version === current.version) {
+      console.log(chalk.yellow(`'${name}' is already at v${current.version}`));
+      return;
+    }
+
+    const result = await executor.verifyAction('revert', {
+      'Prompt': name,
+      'From': `v${current.version}`,
+      'To': `v${revision.version}`,
+      'Result': `v${current.version + 1}`
+    }, async () => {
+      const updated = storage.revertPrompt(name, revision.version);
+      console.log(chalk.green('✓'), `Reverted '${name}' to v${revision.version} (now v${updated.version})`);
+      return updated;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Accept both "3" and "v3"
+function findRevision(history, version) {
+  const number = Number(String(version).replace(/^v/i, ''));
+  return history.find(revision => revision.version === number) || null;
+}
+
+function firstLine(content) {
+  return (content || '').split('\n').map(l => l.trim()).find(l => l.length > 0) || '';
+}
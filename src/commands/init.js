@@ -0,0 +1,29 @@
+import chalk from 'chalk';
+import path from 'path';
+import storage, { findProjectDir } from '../storage/library.js';
+
+/**
+ * Create a project prompt library in the current directory
+ */
+export async function initCommand() {
+  try {
+    const target = path.join(process.cwd(), '.cuecli');
+    const existing = findProjectDir();
+
+    if (existing && path.resolve(existing) === path.resolve(target)) {
+      console.log(chalk.yellow(`Project library already exists at ${existing}`));
+      return;
+    }
+
+    const dir = storage.initProject();
+    console.log(chalk.green('✓'), `Created project library at ${dir}`);
+    if (existing) {
+      console.log(chalk.gray(`  It takes precedence over the enclosing project library at ${existing}`));
+    }
+    console.log(chalk.gray('  Commit .cuecli/prompts.json to share project prompts'));
+    console.log(chalk.gray('  Use `cuecli add <name> --scope project` to add prompts to it'));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
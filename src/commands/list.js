@@ -1,22 +1,33 @@
 import chalk from 'chalk';
 import readline from 'readline';
-import storage from '../storage/local.js';
+import storage from '../storage/library.js';
 import { getCommand } from './enhanced-get.js';
+import { getRelativeTime } from '../utils/ux.js';
+import { buildTree, flattenTree, treePrefix, treeToJSON } from '../utils/namespace.js';
 
-export async function listCommand(options) {
+export async function listCommand(prefix, options = {}) {
   try {
-    let prompts = storage.getAllPrompts();
+    const tags = options.tags && options.tags.length > 0 ? options.tags : undefined;
 
-    // Filter by tags if specified
-    if (options.tags && options.tags.length > 0) {
-      prompts = storage.getPromptsByTags(options.tags);
+    if (options.tree) {
+      const names = tags
+        ? Object.keys(storage.queryPrompts({ tags, prefix }))
+        : storage.getPromptNames().filter(name => !prefix || name.startsWith(prefix));
+      return showTree(names, prefix, options);
     }
 
+    // Filter by namespace prefix and tags; this only reads the matching prompts
+    let prompts = tags || prefix
+      ? storage.queryPrompts({ tags, prefix })
+      : storage.getAllPrompts();
+
     const promptEntries = Object.entries(prompts);
 
     if (promptEntries.length === 0) {
       if (options.tags) {
         console.log(chalk.yellow('No prompts found with the specified tags'));
+      } else if (prefix) {
+        console.log(chalk.yellow(`No prompts found under '${prefix}'`));
       } else {
         console.log(chalk.yellow('No prompts found'));
         console.log(chalk.gray('Run `cuecli add <name>` to create your first prompt'));
@@ -24,8 +35,19 @@ export async function listCommand(options) {
       return;
     }
 
+    // Where each prompt comes from (only shown when a project library is active)
+    const showScopes = storage.hasProject();
+    const locations = showScopes
+      ? Object.fromEntries(promptEntries.map(([name]) => [name, storage.getLocations(name)]))
+      : {};
+
     // Output as JSON if requested
     if (options.json) {
+      if (showScopes) {
+        prompts = Object.fromEntries(
+          promptEntries.map(([name, prompt]) => [name, { ...prompt, scope: locations[name][0] }])
+        );
+      }
       console.log(JSON.stringify(prompts, null, 2));
       return;
     }
@@ -47,11 +69,13 @@ export async function listCommand(options) {
     for (let i = 0; i < promptEntries.length; i++) {
       const [name, prompt] = promptEntries[i];
       
+      const badge = showScopes ? ' ' + formatScope(locations[name][0], locations[name].length > 1) : '';
+
       // Show number prefix in interactive mode
       if (isInteractive) {
-        console.log(chalk.yellow(`[${i + 1}]`), chalk.cyan('•'), chalk.white(name), chalk.gray(`v${prompt.version || 1}`));
+        console.log(chalk.yellow(`[${i + 1}]`), chalk.cyan('•'), chalk.white(name), chalk.gray(`v${prompt.version || 1}`) + badge);
       } else {
-        console.log(chalk.cyan('•'), chalk.white(name), chalk.gray(`v${prompt.version || 1}`));
+        console.log(chalk.cyan('•'), chalk.white(name), chalk.gray(`v${prompt.version || 1}`) + badge);
       }
       
       // Snippet block: up to 3 lines total for quick scanning
@@ -132,9 +156,8 @@ export async function listCommand(options) {
               const selectedName = promptEntries[num - 1][0];
               console.log(chalk.cyan(`\nRetrieving: ${selectedName}\n`));
               
-              // Execute the selected prompt
-              getCommand(selectedName, { ...options, stdout: false });
-              resolve();
+              // Get the selected prompt, asking for any variables it needs
+              getCommand(selectedName, { ...options, stdout: false }).then(resolve);
               return;
             } else if (inputBuffer.length > 0) {
               // Invalid selection
@@ -182,23 +205,169 @@ export async function listCommand(options) {
   }
 }
 
-function getRelativeTime(date) {
-  const now = new Date();
-  const diffMs = now - date;
-  const diffSecs = Math.floor(diffMs / 1000);
-  const diffMins = Math.floor(diffSecs / 60);
-  const diffHours = Math.floor(diffMins / 60);
-  const diffDays = Math.floor(diffHours / 24);
-
-  if (diffDays > 0) {
-    return `${diffDays} day${diffDays === 1 ? '' : 's'} ago`;
-  } else if (diffHours > 0) {
-    return `${diffHours} hour${diffHours === 1 ? '' : 's'} ago`;
-  } else if (diffMins > 0) {
-    return `${diffMins} minute${diffMins === 1 ? '' : 's'} ago`;
-  } else {
-    return 'just now';
+/**
+ * Show prompt names as a folder tree with counts. In a terminal the tree
+ * can be browsed and folders expanded or collapsed; otherwise it is
+ * printed down to `--depth` levels.
+ */
+async function showTree(names, prefix, options) {
+  if (names.length === 0) {
+    console.log(chalk.yellow(prefix ? `No prompts found under '${prefix}'` : 'No prompts found'));
+    return;
+  }
+
+  const tree = buildTree(names);
+
+  if (options.json) {
+    console.log(JSON.stringify(treeToJSON(tree).children, null, 2));
+    return;
+  }
+
+  const isInteractive = options.interactive !== false && (options.interactive || (process.stdout.isTTY && process.stdin.isTTY));
+  if (isInteractive) {
+    return browseTree(tree, prefix, options);
+  }
+
+  const maxDepth = options.depth !== undefined ? Number(options.depth) : Infinity;
+  console.log();
+  console.log(chalk.cyan.bold('cueCLI Prompt Tree'));
+  console.log(chalk.gray('──────────────────────────────────────────────────'));
+  console.log();
+
+  for (const row of flattenTree(tree, (_node, depth) => depth + 1 < maxDepth)) {
+    const collapsed = row.isFolder && row.depth + 1 >= maxDepth;
+    console.log(chalk.gray(treePrefix(row)) + formatTreeNode(row, collapsed));
+  }
+
+  console.log();
+  console.log(chalk.gray(`${tree.count} prompt(s). Use \`cuecli get <name>\` to copy a prompt to clipboard`));
+}
+
+// Interactive tree: arrows move, right/left expand and collapse, Enter selects
+async function browseTree(tree, prefix, options) {
+  // Open the folders leading to the requested namespace
+  const expanded = new Set();
+  if (prefix) {
+    const segments = prefix.split('/').filter(Boolean);
+    segments.forEach((_, i) => expanded.add(segments.slice(0, i + 1).join('/')));
+  }
+
+  let cursor = 0;
+  let offset = 0;
+  let rendered = 0;
+  let rows = [];
+
+  const render = () => {
+    rows = flattenTree(tree, node => expanded.has(node.path));
+    cursor = Math.max(0, Math.min(cursor, rows.length - 1));
+
+    const height = Math.max(5, (process.stdout.rows || 24) - 4);
+    if (cursor < offset) offset = cursor;
+    if (cursor >= offset + height) offset = cursor - height + 1;
+
+    if (rendered > 0) {
+      process.stdout.write(`\x1b[${rendered}A\x1b[J`);
+    }
+
+    const visible = rows.slice(offset, offset + height);
+    visible.forEach((row, i) => {
+      const selected = offset + i === cursor;
+      const line = treePrefix(row) + formatTreeNode(row, row.isFolder && !expanded.has(row.node.path));
+      console.log((selected ? chalk.cyan('› ') : '  ') + (selected ? chalk.bold(line) : line));
+    });
+    console.log(chalk.gray(`${tree.count} prompt(s) • ↑↓ move • →← expand/collapse • Enter select • q exit`));
+    rendered = visible.length + 1;
+  };
+
+  console.log();
+  render();
+
+  readline.emitKeypressEvents(process.stdin);
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+  }
+
+  return new Promise(resolve => {
+    const cleanup = () => {
+      process.stdin.removeListener('keypress', handleKeypress);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+      process.stdin.pause();
+    };
+
+    const handleKeypress = (str, key = {}) => {
+      const row = rows[cursor];
+
+      if (key.ctrl && key.name === 'c') {
+        cleanup();
+        process.exit(0);
+      }
+
+      if (key.name === 'escape' || str === 'q') {
+        cleanup();
+        console.log(chalk.gray('Exited without selection'));
+        resolve();
+        return;
+      }
+
+      if (key.name === 'up' || str === 'k') {
+        cursor--;
+      } else if (key.name === 'down' || str === 'j') {
+        cursor++;
+      } else if (key.name === 'right' || str === 'l') {
+        if (row.isFolder) expanded.add(row.node.path);
+      } else if (key.name === 'left' || str === 'h') {
+        if (row.isFolder && expanded.has(row.node.path)) {
+          expanded.delete(row.node.path);
+        } else {
+          // Jump to the parent folder
+          const parent = row.node.path.split('/').slice(0, -1).join('/');
+          const index = rows.findIndex(r => r.node.path === parent);
+          if (index !== -1) cursor = index;
+        }
+      } else if (key.name === 'return' || key.name === 'space') {
+        if (row.isFolder) {
+          if (expanded.has(row.node.path)) {
+            expanded.delete(row.node.path);
+          } else {
+            expanded.add(row.node.path);
+          }
+        } else {
+          cleanup();
+          console.log(chalk.cyan(`\nRetrieving: ${row.node.path}\n`));
+          getCommand(row.node.path, { ...options, stdout: false }).then(resolve);
+          return;
+        }
+      } else {
+        return;
+      }
+
+      render();
+    };
+
+    process.stdin.on('keypress', handleKeypress);
+    process.stdin.resume();
+  });
+}
+
+function formatTreeNode(row, collapsed) {
+  const { node } = row;
+  if (!row.isFolder) {
+    return chalk.white(node.name);
+  }
+  return (collapsed ? chalk.cyan('▸ ') : chalk.cyan('▾ ')) +
+    chalk.cyan(node.name + '/') +
+    chalk.gray(` (${node.count})`) +
+    (node.isPrompt ? chalk.gray(' + prompt') : '');
+}
+
+// Scope badge, noting when a project prompt shadows a global one
+function formatScope(scope, shadows) {
+  if (scope !== 'project') {
+    return chalk.gray('[global]');
   }
+  return chalk.green('[project]') + (shadows ? chalk.gray(' (shadows global)') : '');
 }
 
 // Helpers for snippet rendering
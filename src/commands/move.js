@@ -0,0 +1,140 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import executor from '../core/executor.js';
+import { isNamespace } from '../utils/namespace.js';
+
+/**
+ * Rename a prompt, keeping its version, dates and history.
+ * A name ending in a slash (`review/`) moves the whole namespace.
+ */
+export async function moveCommand(from, to, options = {}) {
+  if (isNamespace(from)) {
+    return moveNamespace(from, to, options);
+  }
+  return transfer('move', from, to, options);
+}
+
+/**
+ * Duplicate a prompt under a new name, keeping its version, dates and history
+ */
+export async function copyCommand(from, to, options = {}) {
+  return transfer('copy', from, to, options);
+}
+
+async function moveNamespace(from, to, options) {
+  try {
+    const moves = storage.planNamespaceMove(from, to, { scope: options.scope });
+    if (moves.length === 0) {
+      console.error(chalk.red(`Error: No prompts under '${from}'`));
+      process.exit(1);
+    }
+
+    const clashes = moves.filter(([, newName, scope]) => storage.promptExists(newName, { scope }));
+    if (clashes.length > 0 && !options.force) {
+      console.error(chalk.red(`Error: ${clashes.length} prompt(s) already exist: ${clashes.map(([, newName]) => newName).join(', ')}`));
+      console.log(chalk.gray('Use --force to overwrite them (the existing prompts go to the trash)'));
+      process.exit(1);
+    }
+
+    const target = isNamespace(to) || to === '' ? to : to + '/';
+    const details = {
+      'From': from,
+      'To': target || '(top level)',
+      'Prompts': `${moves.length} prompt(s)`
+    };
+    if (clashes.length > 0) {
+      details['Replaces'] = `${clashes.length} prompt(s) (moved to the trash)`;
+    }
+    const dependents = includedBy(moves.map(([oldName]) => oldName));
+    if (dependents.length > 0) {
+      details['Breaks'] = `includes in ${dependents.join(', ')}`;
+    }
+
+    const result = await executor.verifyAction('move', details, async () => {
+      const moved = storage.moveNamespace(from, to, { scope: options.scope, force: options.force });
+      for (const [oldName, newName] of moved) {
+        console.log(chalk.gray(`  ${oldName} → ${newName}`));
+      }
+      console.log(chalk.green('✓'), `Moved ${moved.length} prompt(s) from '${from}' to '${target}'`);
+      const renamed = new Map(moved);
+      warnIncludes(dependents.map(name => renamed.get(name) || name));
+      return moved;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+    if (result.error) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+async function transfer(action, from, to, options) {
+  try {
+    const scope = storage.resolveScope(from, options.scope);
+    const prompt = storage.getPrompt(from, { scope });
+    if (!prompt) {
+      console.error(chalk.red(`Error: Prompt '${from}' not found`));
+      console.log(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    const exists = storage.promptExists(to, { scope });
+    if (exists && !options.force) {
+      console.error(chalk.red(`Error: A prompt named '${to}' already exists`));
+      console.log(chalk.gray('Use --force to overwrite it (the existing prompt goes to the trash)'));
+      process.exit(1);
+    }
+
+    const details = {
+      'From': storage.hasProject() ? `${from} (${scope})` : from,
+      'To': to,
+      'Keeps': `v${prompt.version || 1} with ${(prompt.history || []).length} earlier version(s)`
+    };
+    if (exists) {
+      details['Replaces'] = `${to} (moved to the trash)`;
+    }
+    const dependents = action === 'move' ? includedBy([from]) : [];
+    if (dependents.length > 0) {
+      details['Breaks'] = `{{> ${from}}} in ${dependents.join(', ')}`;
+    }
+
+    const result = await executor.verifyAction(action, details, async () => {
+      if (action === 'move') {
+        storage.movePrompt(from, to, { scope, force: exists });
+        console.log(chalk.green('✓'), `Renamed '${from}' to '${to}'`);
+        warnIncludes(dependents);
+      } else {
+        storage.copyPrompt(from, to, { scope, force: exists });
+        console.log(chalk.green('✓'), `Copied '${from}' to '${to}'`);
+      }
+      return true;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+    if (result.error) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+// Prompts that include any of `names` with {{> name}}, which a move breaks
+function includedBy(names) {
+  return [...new Set(names.flatMap(name => storage.getDependents(name)))];
+}
+
+function warnIncludes(dependents) {
+  if (dependents.length > 0) {
+    console.log(chalk.yellow(`⚠ Update the includes in ${dependents.join(', ')}; they fail to render until then`));
+    console.log(chalk.gray('  Run `cuecli deps <name>` to see what a prompt includes'));
+  }
+}
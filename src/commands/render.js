@@ -0,0 +1,144 @@
+import chalk from 'chalk';
+import fs from 'fs-extra';
+import path from 'path';
+import storage from '../storage/library.js';
+import { substituteVariables } from '../utils/template.js';
+import { getDeclaredDefaults, validateValues } from '../utils/variables.js';
+import { loadVariables } from '../utils/variable-sources.js';
+import { parseMatrix, matrixFormat } from '../utils/matrix.js';
+import sanitizer from '../utils/sanitizer.js';
+import { preparePrompt, scanValues } from '../core/renderer.js';
+
+// Characters a variable may not bring into an output file name
+const UNSAFE_FILENAME = /[/\\:*?"<>|\p{Cc}]/gu;
+
+/**
+ * Render a prompt once per row of a matrix file (CSV or JSON Lines). Each
+ * row is written to stdout as a JSON line { row, values, content }, or to
+ * its own file named by the --out template (`out/{{SERVICE}}.md`). A row
+ * that fails is reported on stderr and the others are still rendered; the
+ * exit status is 1 when any failed.
+ */
+export async function renderCommand(requestedName, options) {
+  try {
+    const name = storage.resolveName(requestedName) || requestedName;
+    const record = storage.getPrompt(name);
+    if (!record) {
+      console.error(chalk.red(`Error: Prompt '${name}' not found`));
+      console.error(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    const format = options.format || matrixFormat(options.matrix);
+    if (!format) {
+      throw new Error(`Cannot tell the format of '${options.matrix}' from its extension; use --format csv or jsonl`);
+    }
+    let text;
+    try {
+      text = await fs.readFile(options.matrix, 'utf8');
+    } catch (error) {
+      throw new Error(`Cannot read '${options.matrix}': ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+    }
+    const rows = parseMatrix(text, format);
+
+    // --vars and --vars-file give every row its values; rows override them
+    const shared = await loadVariables(options);
+    const prepared = preparePrompt(name, record);
+    const written = new Map();
+    const totals = { rendered: 0, failed: 0, redacted: 0, flagged: 0 };
+
+    for (const row of rows) {
+      try {
+        if (row.error) {
+          throw new Error(row.error);
+        }
+        const result = renderRow(prepared, { ...shared.values, ...row.values }, options);
+        totals.redacted += result.redacted;
+        totals.flagged += result.flagged ? 1 : 0;
+        const values = Object.fromEntries(Object.keys(row.values).map(key => [key, result.values[key]]));
+
+        if (options.out) {
+          const file = outputFile(options.out, result.values);
+          if (written.has(file)) {
+            throw new Error(`Writes the same file as row ${written.get(file)}: ${file}`);
+          }
+          written.set(file, row.row);
+          await fs.outputFile(file, result.content);
+          console.log(chalk.green('✓'), file);
+        } else {
+          process.stdout.write(JSON.stringify({ row: row.row, values, content: result.content }) + '\n');
+        }
+        totals.rendered++;
+      } catch (error) {
+        totals.failed++;
+        console.error(chalk.red(`Row ${row.row} (line ${row.line}):`), error.message);
+      }
+    }
+
+    if (totals.redacted > 0) {
+      console.error(chalk.yellow(`🔒 Sanitized ${totals.redacted} sensitive item(s) in ${totals.flagged} row(s) for safety`));
+      console.error(chalk.gray('  Use --raw flag to bypass sanitization'));
+    } else if (totals.flagged > 0) {
+      console.error(chalk.red(`⚠️  WARNING: ${totals.flagged} row(s) contain sensitive data`));
+    }
+    const summary = `Rendered ${totals.rendered} of ${rows.length} row(s)${totals.failed > 0 ? `; ${totals.failed} failed` : ''}`;
+    console.error(totals.failed > 0 ? chalk.yellow(summary) : chalk.gray(summary));
+    if (totals.failed > 0) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * One row: its values checked against the declarations, scanned, and
+ * rendered. Returns { content, values, redacted, flagged }; throws when a
+ * value is invalid or missing.
+ */
+function renderRow({ prompt, renderOptions }, given, options) {
+  const { values, problems } = validateValues(prompt, { ...getDeclaredDefaults(prompt), ...given });
+  if (problems.length > 0) {
+    throw new Error(`Invalid value${problems.length === 1 ? '' : 's'} for ${problems.map(problem => `${problem.name} (${problem.message})`).join(', ')}`);
+  }
+
+  const scanned = scanValues(values, Object.keys(given), options.raw);
+  let content = substituteVariables(prompt.content || '', scanned.values, { ...renderOptions, strict: !options.allowMissing });
+  let redacted = scanned.flagged.reduce((sum, value) => sum + value.redacted, 0);
+  let flagged = scanned.flagged.length > 0;
+
+  if (sanitizer.scan(content).length > 0) {
+    flagged = true;
+    if (!options.raw) {
+      content = sanitizer.sanitize(content);
+      redacted += sanitizer.getStats().totalRedacted;
+    }
+  }
+  return { content, values: scanned.values, redacted, flagged };
+}
+
+// The --out template filled in with the row's values, made safe for a file
+// name. A value like `..` must not take the file out of the directory the
+// template's fixed part names
+function outputFile(template, values) {
+  const safe = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, String(value).replace(UNSAFE_FILENAME, '-')]));
+  const file = substituteVariables(template, safe, { strict: true });
+  if (!file.trim() || file.endsWith(path.sep)) {
+    throw new Error(`The --out template gives no file name: '${file}'`);
+  }
+
+  const root = outputRoot(template);
+  const relative = path.relative(root, path.resolve(file));
+  if (!relative || relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new Error(`Writes outside ${root}: ${file}`);
+  }
+  return path.normalize(file);
+}
+
+// The directory of the --out template up to its first placeholder
+function outputRoot(template) {
+  const start = template.indexOf('{{');
+  const fixed = start === -1 ? template : template.slice(0, start);
+  return path.resolve(fixed.endsWith('/') || fixed.endsWith(path.sep) ? fixed : path.dirname(fixed));
+}
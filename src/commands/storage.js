@@ -0,0 +1,89 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import config from '../config/config.js';
+import executor from '../core/executor.js';
+import { BACKENDS } from '../storage/backends/index.js';
+
+/**
+ * Show which backend each library uses and where it lives
+ */
+export async function storageInfoCommand() {
+  try {
+    const scopes = storage.hasProject() ? ['project', 'global'] : ['global'];
+
+    console.log();
+    console.log(chalk.cyan.bold('cueCLI Storage'));
+    console.log(chalk.gray('──────────────────────────────────────────────────'));
+    console.log();
+
+    for (const scope of scopes) {
+      const count = Object.keys(storage.getAllPrompts({ scope })).length;
+      console.log(chalk.cyan('•'), chalk.white(scope), chalk.gray(`${count} prompt(s)`));
+      console.log(chalk.gray('     Backend:  ') + chalk.white(storage.getBackendType({ scope })));
+      console.log(chalk.gray('     Location: ') + storage.getLocation({ scope }));
+      console.log();
+    }
+
+    console.log(chalk.gray(`Available backends: ${Object.keys(BACKENDS).join(', ')}`));
+    console.log(chalk.gray('Use `cuecli storage migrate --to <backend>` to convert a library'));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Move a library to another storage backend
+ */
+export async function storageMigrateCommand(options) {
+  try {
+    const scope = options.scope || 'global';
+    const target = options.to;
+
+    if (!BACKENDS[target]) {
+      console.error(chalk.red(`Error: Unknown backend '${target}'`));
+      console.log(chalk.gray(`Available backends: ${Object.keys(BACKENDS).join(', ')}`));
+      process.exit(1);
+    }
+
+    const current = storage.getBackendType({ scope });
+    if (target === 'encrypted' || (current === 'encrypted' && target !== current)) {
+      const command = target === 'encrypted' ? 'encrypt' : 'decrypt';
+      console.error(chalk.red(`Error: Use \`cuecli ${command}\` to ${command} a library`));
+      process.exit(1);
+    }
+    if (current === target) {
+      console.log(chalk.yellow(`The ${scope} library already uses the ${target} backend`));
+      return;
+    }
+
+    const count = Object.keys(storage.getAllPrompts({ scope })).length;
+    const result = await executor.verifyAction('migrate', {
+      'Library': `${scope} (${count} prompt(s))`,
+      'From': current,
+      'To': target
+    }, async () => {
+      const migration = storage.migrate(target, { scope });
+
+      // New global libraries should start out on the chosen backend too
+      if (scope === 'global') {
+        config.set('storage.backend', target);
+      }
+
+      console.log(chalk.green('✓'), `Migrated ${migration.count} prompt(s) from ${migration.from} to ${migration.to}`);
+      console.log(chalk.gray(`  Library is now at ${storage.getLocation({ scope })}`));
+      console.log(chalk.gray(`  Backup of the previous library: ${migration.backupFile}`));
+      return migration;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+    if (result.error) {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
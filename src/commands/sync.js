@@ -0,0 +1,193 @@
+import chalk from 'chalk';
+import path from 'path';
+import storage from '../storage/library.js';
+import config from '../config/config.js';
+import { SYNC_PROVIDERS, createSyncServer, getSyncSettings, syncLibrary } from '../sync/index.js';
+import { chooseConflictResolution } from '../utils/ux.js';
+
+const LABELS = { ours: 'local', theirs: 'remote' };
+
+/**
+ * Sync the global library with the configured remote. Prompts changed on
+ * both sides are merged; conflicting changes are settled with --ours,
+ * --theirs or --markers, or by asking in a terminal. Otherwise nothing is
+ * changed and the conflicts are reported.
+ */
+export async function syncCommand(options = {}) {
+  try {
+    if ([options.ours, options.theirs, options.markers].filter(Boolean).length > 1) {
+      console.error(chalk.red('Error: Use only one of --ours, --theirs and --markers'));
+      process.exit(1);
+    }
+
+    const interactive = process.stdin.isTTY && process.stdout.isTTY;
+    const strategy = options.ours ? 'ours' : options.theirs ? 'theirs' : options.markers ? 'markers' : null;
+    const result = await syncLibrary(storage, {
+      strategy,
+      resolve: interactive ? conflict => chooseConflictResolution({ ...conflict, labels: LABELS }) : undefined
+    });
+
+    if (result.conflicts.length > 0) {
+      reportConflicts(result.conflicts);
+      process.exit(1);
+    }
+
+    console.log(chalk.green('✓'), `Synced with ${result.provider.describe()}`);
+    printChanges(result);
+    if (result.merged.length > 0) {
+      console.log(chalk.gray(`  Merged changes from both sides: ${result.merged.join(', ')}`));
+    }
+
+    const marked = result.resolved.filter(({ choice }) => choice === 'markers').map(({ name }) => name);
+    for (const { name, choice } of result.resolved) {
+      if (choice !== 'markers') {
+        console.log(chalk.yellow(`  Kept the ${LABELS[choice]} version of '${name}'`));
+      }
+    }
+    if (marked.length > 0) {
+      console.log(chalk.yellow(`  Conflicting changes were kept with conflict markers in: ${marked.join(', ')}`));
+      console.log(chalk.gray('  Edit these prompts (`cuecli edit <name>`) to resolve them'));
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Point sync at a git remote (a URL or the path of a bare repository), or
+ * with provider custom at a sync server URL
+ */
+export async function syncSetupCommand(url, options = {}) {
+  try {
+    const provider = options.provider || 'git';
+    if (!SYNC_PROVIDERS[provider]) {
+      console.error(chalk.red(`Error: Unknown sync provider '${provider}'. Available: ${Object.keys(SYNC_PROVIDERS).join(', ')}`));
+      process.exit(1);
+    }
+    if (provider === 'custom' && !/^https?:\/\//.test(url)) {
+      console.error(chalk.red('Error: A sync server URL must start with http:// or https://'));
+      process.exit(1);
+    }
+
+    config.set('sync', {
+      ...getSyncSettings(),
+      enabled: true,
+      provider,
+      url,
+      branch: options.branch || getSyncSettings().branch || 'main',
+      ...(options.tokenEnv && { tokenEnv: options.tokenEnv }),
+      ...(options.auto !== undefined && { autoSync: options.auto })
+    });
+
+    const settings = getSyncSettings();
+    if (provider === 'custom') {
+      const tokenEnv = settings.tokenEnv || 'CUECLI_SYNC_TOKEN';
+      console.log(chalk.green('✓'), `Sync server set to ${settings.url}`);
+      if (!process.env[tokenEnv]) {
+        console.log(chalk.yellow(`  ${tokenEnv} is not set; requests are sent without a token`));
+      }
+    } else {
+      console.log(chalk.green('✓'), `Sync remote set to ${settings.url} (${settings.branch})`);
+    }
+    console.log(chalk.gray(settings.autoSync
+      ? '  Every change is synced automatically'
+      : '  Run `cuecli sync` to sync, or `cuecli sync setup <url> --auto` to sync after every change'));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Run the reference sync server until interrupted. Clients must send the
+ * token from `options.tokenEnv` when it is set.
+ */
+export async function syncServerCommand(options = {}) {
+  try {
+    const port = Number(options.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      console.error(chalk.red(`Error: Invalid port '${options.port}'`));
+      process.exit(1);
+    }
+
+    const dir = path.resolve(options.dir || config.getPath('sync-server'));
+    const token = process.env[options.tokenEnv];
+    const server = createSyncServer({ dir, token });
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, options.host, resolve);
+    });
+
+    const address = server.address();
+    console.log(chalk.green('✓'), `Sync server listening on http://${options.host}:${address.port}`);
+    console.log(chalk.gray(`  Prompts are kept in ${dir}`));
+    if (!token) {
+      console.log(chalk.yellow(`  ${options.tokenEnv} is not set: anyone who can reach this server can read and change its prompts`));
+    }
+    console.log(chalk.gray(`  Clients: cuecli sync setup http://<this host>:${address.port} --provider custom`));
+
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => server.close(() => process.exit(0)));
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.code === 'EADDRINUSE' ? `Port ${options.port} is already in use` : error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Sync after a command changed the global library, when sync.autoSync is
+ * on. Problems are reported but never fail the command that ran.
+ */
+export async function autoSync() {
+  const settings = getSyncSettings();
+  if (!settings.enabled || !settings.autoSync || !storage.getStore('global').changed) {
+    return;
+  }
+
+  try {
+    const result = await syncLibrary(storage);
+    if (result.conflicts.length > 0) {
+      console.error(chalk.yellow(`Auto-sync stopped: ${result.conflicts.length} prompt(s) have conflicting changes on the remote. Run \`cuecli sync\` to resolve them`));
+      return;
+    }
+    if (result.pushed > 0 || result.added.length + result.updated.length + result.removed.length > 0) {
+      console.error(chalk.gray(`Synced with ${result.provider.describe()}`));
+    }
+  } catch (error) {
+    console.error(chalk.yellow('Auto-sync failed:'), error.message);
+  }
+}
+
+function reportConflicts(conflicts) {
+  console.error(chalk.red(`Error: ${conflicts.length} prompt(s) changed both here and on the remote:`));
+  for (const { name, reason } of conflicts) {
+    console.error(chalk.red('  •'), chalk.white(name), chalk.gray(`— ${reason}`));
+  }
+  console.error();
+  console.error(chalk.gray('Nothing was changed. To settle them, run:'));
+  console.error(chalk.gray('  cuecli sync --ours     keep the local versions'));
+  console.error(chalk.gray('  cuecli sync --theirs   take the remote versions'));
+  console.error(chalk.gray('  cuecli sync --markers  keep both with conflict markers, then edit the prompts'));
+}
+
+function printChanges(result) {
+  const pulled = [
+    result.added.length > 0 && `${result.added.length} new`,
+    result.updated.length > 0 && `${result.updated.length} updated`,
+    result.removed.length > 0 && `${result.removed.length} removed (moved to the trash)`
+  ].filter(Boolean);
+
+  if (pulled.length === 0 && result.pushed === 0) {
+    console.log(chalk.gray('  Already up to date'));
+    return;
+  }
+  if (pulled.length > 0) {
+    console.log(chalk.gray(`  Pulled: ${pulled.join(', ')}`));
+  }
+  if (result.pushed > 0) {
+    console.log(chalk.gray(`  Pushed: ${result.pushed} prompt(s)`));
+  }
+}
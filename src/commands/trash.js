@@ -0,0 +1,98 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import executor from '../core/executor.js';
+import { getRelativeTime } from '../utils/ux.js';
+import { parseDuration } from '../utils/duration.js';
+
+/**
+ * List deleted prompts, newest first
+ */
+export async function trashListCommand(options = {}) {
+  try {
+    const entries = storage.listTrash({ scope: options.scope });
+
+    if (options.json) {
+      console.log(JSON.stringify(entries, null, 2));
+      return;
+    }
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow('The trash is empty'));
+      return;
+    }
+
+    const showScopes = storage.hasProject() && !options.scope;
+
+    console.log();
+    console.log(chalk.cyan.bold('cueCLI Trash'));
+    console.log(chalk.gray('──────────────────────────────────────────────────'));
+    console.log();
+
+    for (const entry of entries) {
+      const badge = showScopes ? chalk.gray(` [${entry.scope}]`) : '';
+      const live = storage.promptExists(entry.name, { scope: entry.scope });
+      console.log(
+        chalk.red('•'),
+        chalk.white(entry.name),
+        chalk.gray(`v${entry.prompt.version || 1}`) + badge,
+        chalk.gray(`deleted ${getRelativeTime(new Date(entry.deleted))}`)
+      );
+      if (entry.prompt.description) {
+        console.log(chalk.gray(`     ${entry.prompt.description}`));
+      }
+      if (live) {
+        console.log(chalk.yellow('     A prompt with this name exists again; restore with --as <new-name>'));
+      }
+      console.log();
+    }
+
+    console.log(chalk.gray('Use `cuecli trash restore <name>` to restore or `cuecli trash empty` to delete permanently'));
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Bring a deleted prompt back, with its versions and history
+ */
+export async function trashRestoreCommand(name, options = {}) {
+  try {
+    const { scope, prompt } = storage.restoreFromTrash(name, { scope: options.scope, as: options.as });
+    const where = storage.hasProject() ? ` to the ${scope} library` : '';
+    const renamed = prompt.name !== name ? ` as '${prompt.name}'` : '';
+    console.log(chalk.green('✓'), `Restored '${name}'${renamed}${where}`);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+/**
+ * Permanently delete trashed prompts, optionally only older ones
+ */
+export async function trashEmptyCommand(options = {}) {
+  try {
+    const before = options.olderThan ? new Date(Date.now() - parseDuration(options.olderThan)) : null;
+    const entries = storage.listTrash({ scope: options.scope })
+      .filter(entry => !before || new Date(entry.deleted) < before);
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow(before ? `Nothing in the trash is older than ${options.olderThan}` : 'The trash is already empty'));
+      return;
+    }
+
+    const result = await executor.verifyAction('empty', entries.map(entry => entry.name), async () => {
+      const removed = storage.emptyTrash({ scope: options.scope, before });
+      console.log(chalk.green('✓'), `Permanently deleted ${removed.length} prompt(s)`);
+      return removed;
+    });
+
+    if (!result.confirmed) {
+      process.exit(0);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
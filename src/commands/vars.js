@@ -0,0 +1,157 @@
+import chalk from 'chalk';
+import storage from '../storage/library.js';
+import { extractVariables, validateTemplate } from '../utils/template.js';
+import { isVariableName } from '../utils/template-parser.js';
+import { VARIABLE_TYPES, checkDeclaration } from '../utils/variables.js';
+
+/**
+ * Show the variables of a prompt with what it declares about them, or
+ * change a declaration: `vars <name> set <variable> --type enum --values
+ * a,b` or `vars <name> unset <variable>`
+ */
+export async function varsCommand(name, action, variable, options = {}) {
+  try {
+    const prompt = storage.getPrompt(name, { scope: options.scope });
+    if (!prompt) {
+      const where = options.scope ? ` in the ${options.scope} library` : '';
+      console.error(chalk.red(`Error: Prompt '${name}' not found${where}`));
+      console.log(chalk.gray('Run `cuecli list` to see available prompts'));
+      process.exit(1);
+    }
+
+    switch (action) {
+    case undefined:
+    case 'show':
+      showVariables(name, prompt, options);
+      return;
+
+    case 'set':
+    case 'unset': {
+      if (!variable) {
+        console.error(chalk.red(`Error: Which variable? Use \`cuecli vars ${name} ${action} <variable>\``));
+        process.exit(1);
+      }
+      const scope = storage.resolveScope(name, options.scope);
+      if (action === 'set') {
+        setDeclaration(name, prompt, variable, options, scope);
+      } else {
+        unsetDeclaration(name, prompt, variable, scope);
+      }
+      return;
+    }
+
+    default:
+      console.error(chalk.red(`Error: Unknown action '${action}'; use set or unset`));
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+}
+
+function showVariables(name, prompt, options) {
+  const declarations = prompt.declarations || {};
+  const used = usedVariables(prompt);
+  const names = [...new Set([...used, ...Object.keys(declarations)])];
+
+  if (options.json) {
+    console.log(JSON.stringify(Object.fromEntries(names.map(key => [key, {
+      type: 'string',
+      ...declarations[key],
+      used: used.includes(key)
+    }])), null, 2));
+    return;
+  }
+
+  if (names.length === 0) {
+    console.log(chalk.yellow(`'${name}' has no variables`));
+    return;
+  }
+
+  console.log();
+  console.log(chalk.cyan.bold(`Variables of '${name}'`));
+  console.log(chalk.gray('──────────────────────────────────────────────────'));
+  console.log();
+
+  const width = Math.max(...names.map(key => key.length));
+  for (const key of names) {
+    const declaration = declarations[key] || { type: 'string' };
+    const details = [
+      declaration.type === 'enum' ? `enum: ${declaration.values.join(', ')}` : declaration.type,
+      declaration.default !== undefined ? `default: ${declaration.default}` : null,
+      declaration.pattern ? `pattern: /${declaration.pattern}/` : null
+    ].filter(Boolean).join(' • ');
+    const unused = used.includes(key) ? '' : chalk.yellow(' (not used by the prompt)');
+    console.log(`  ${chalk.magenta(key.padEnd(width))}  ${chalk.gray(details)}${unused}`);
+    if (declaration.description) {
+      console.log(`  ${' '.repeat(width)}  ${declaration.description}`);
+    }
+  }
+  console.log();
+  console.log(chalk.gray(`Use \`cuecli vars ${name} set <variable> --type <type>\` to declare one`));
+}
+
+function setDeclaration(name, prompt, variable, options, scope) {
+  if (!isVariableName(variable)) {
+    throw new Error(`Invalid variable name '${variable}'`);
+  }
+
+  const current = prompt.declarations?.[variable] || {};
+  const type = options.type || current.type || 'string';
+  if (!VARIABLE_TYPES.includes(type)) {
+    throw new Error(`Unknown type '${type}'; use one of: ${VARIABLE_TYPES.join(', ')}`);
+  }
+  if (options.values !== undefined && type !== 'enum') {
+    throw new Error('Only an enum has --values');
+  }
+
+  // Options given replace what was declared; an empty description or
+  // pattern removes it
+  const declaration = {
+    type,
+    description: options.desc ?? current.description,
+    default: options.default ?? current.default,
+    pattern: options.pattern ?? current.pattern,
+    values: type !== 'enum' ? undefined
+      : options.values !== undefined ? options.values.split(',').map(value => value.trim()).filter(Boolean)
+        : current.values
+  };
+  for (const field of Object.keys(declaration)) {
+    if (declaration[field] === undefined || (['description', 'pattern'].includes(field) && declaration[field] === '')) {
+      delete declaration[field];
+    }
+  }
+
+  const problem = checkDeclaration(declaration);
+  if (problem) {
+    throw new Error(`Invalid declaration for '${variable}': ${problem}`);
+  }
+
+  storage.setPrompt(name, {
+    ...prompt,
+    declarations: { ...prompt.declarations, [variable]: declaration }
+  }, { scope });
+
+  console.log(chalk.green('✓'), `Declared ${variable} of '${name}' as ${type}`);
+  if (!usedVariables(prompt).includes(variable)) {
+    console.log(chalk.yellow(`⚠ '${name}' does not use ${variable}`));
+  }
+}
+
+function unsetDeclaration(name, prompt, variable, scope) {
+  if (!prompt.declarations || !Object.hasOwn(prompt.declarations, variable)) {
+    throw new Error(`'${name}' declares no variable ${variable}`);
+  }
+
+  const declarations = { ...prompt.declarations };
+  delete declarations[variable];
+  storage.setPrompt(name, { ...prompt, declarations }, { scope });
+  console.log(chalk.green('✓'), `Removed the declaration of ${variable} from '${name}'`);
+}
+
+// Variables the content uses, or those last recorded if it does not parse
+function usedVariables(prompt) {
+  const content = prompt.content || '';
+  return validateTemplate(content) ? prompt.variables || [] : extractVariables(content);
+}
@@ -30,7 +30,11 @@ export class Config {
         provider: null, // github, gitlab, custom
         url: null,
         branch: 'main',
-        autoSync: false
+        autoSync: false,
+        tokenEnv: 'CUECLI_SYNC_TOKEN' // holds the bearer token for a custom server
+      },
+      storage: {
+        backend: 'json' // json, markdown, encrypted
       },
       backup: {
         enabled: true,
@@ -195,6 +199,11 @@ export class Config {
       }
     }
 
+    // Check storage configuration
+    if (!['json', 'markdown', 'encrypted'].includes(this.config.storage.backend)) {
+      errors.push(`Unknown storage backend: ${this.config.storage.backend}`);
+    }
+
     // Check plugin configuration
     if (this.config.plugins.enabled && !this.config.plugins.directory) {
       this.config.plugins.directory = path.join(this.paths.configDir, this.paths.pluginsDir);
@@ -1,8 +1,129 @@
 import chalk from 'chalk';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
 import readline from 'readline';
 import { spawn } from 'child_process';
 import { copyToClipboard } from '../utils/clipboard.js';
 
+// How long a stopped prompt gets to exit before it is killed
+export const KILL_GRACE_MS = 5000;
+
+// Exit status for a prompt stopped by --timeout, as timeout(1) uses
+export const TIMEOUT_EXIT_CODE = 124;
+
+// Environment variables a sandboxed prompt keeps (HOME and TMPDIR are its
+// working directory)
+export const SANDBOX_ENV = process.platform === 'win32'
+  ? ['PATH', 'PATHEXT', 'SystemRoot', 'COMSPEC', 'TZ']
+  : ['PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ', 'USER', 'LOGNAME'];
+
+// Resource limits on a sandboxed prompt, where prlimit or ulimit can set them
+export const SANDBOX_LIMITS = {
+  cpu: 300, // seconds of CPU time
+  memory: 2 * 1024 ** 3, // bytes of address space
+  fileSize: 100 * 1024 ** 2, // bytes per file written
+  openFiles: 256
+};
+
+/**
+ * The program that runs a prompt: { command, args, label }. A prompt's
+ * `interpreter` (a command line such as `python3 -u`) comes first, then
+ * the shebang on its first non-empty line, then the system shell. The
+ * prompt goes to it as a file, after `args`.
+ */
+export function resolveInterpreter(content, interpreter) {
+  const line = interpreter && interpreter.trim()
+    ? interpreter.trim()
+    : (content.split('\n').find(text => text.trim()) || '').trim().match(/^#!\s*(.+)$/)?.[1];
+  if (line) {
+    const [command, ...args] = line.split(/\s+/);
+    return { command, args, label: line };
+  }
+  return process.platform === 'win32'
+    ? { command: 'cmd.exe', args: ['/d', '/c'], label: 'cmd.exe' }
+    : { command: '/bin/sh', args: [], label: '/bin/sh' };
+}
+
+/**
+ * How a prompt would run: { command, args, label, cwd, env, sandbox }.
+ * Outside the sandbox it runs in the current directory with cuecli's
+ * environment. With `options.sandbox` it runs in `options.dir` (execute()
+ * makes a new temporary one) with only SANDBOX_ENV and `options.allowEnv`
+ * from the environment, and `sandbox` is { limits, limiter }: the limiter
+ * is 'prlimit', 'ulimit' or null where neither is available.
+ */
+export function planExecution(content, options = {}) {
+  const { command, args, label } = resolveInterpreter(content, options.interpreter);
+  if (!options.sandbox) {
+    return { command, args, label, cwd: process.cwd(), env: process.env, sandbox: null };
+  }
+
+  const env = {};
+  for (const name of [...SANDBOX_ENV, ...(options.allowEnv || [])]) {
+    if (process.env[name] !== undefined) {
+      env[name] = process.env[name];
+    }
+  }
+  Object.assign(env, process.platform === 'win32'
+    ? { USERPROFILE: options.dir, TEMP: options.dir, TMP: options.dir }
+    : { HOME: options.dir, TMPDIR: options.dir });
+
+  return {
+    command,
+    args,
+    label,
+    cwd: options.dir,
+    env,
+    sandbox: { limits: SANDBOX_LIMITS, limiter: findLimiter() }
+  };
+}
+
+// prlimit where it is installed, else the shell's ulimit; null on Windows
+function findLimiter() {
+  if (process.platform === 'win32') {
+    return null;
+  }
+  const onPath = (process.env.PATH || '').split(path.delimiter).some(dir => {
+    try {
+      fs.accessSync(path.join(dir, 'prlimit'), fs.constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  return onPath ? 'prlimit' : 'ulimit';
+}
+
+// The command line that runs `command` under `limits` with `limiter`
+function withLimits(command, args, limits, limiter) {
+  if (limiter === 'prlimit') {
+    return {
+      command: 'prlimit',
+      args: [
+        `--cpu=${limits.cpu}`,
+        `--as=${limits.memory}`,
+        `--fsize=${limits.fileSize}`,
+        `--nofile=${limits.openFiles}`,
+        '--',
+        command,
+        ...args
+      ]
+    };
+  }
+  if (limiter === 'ulimit') {
+    // One limit per ulimit, as dash takes; a shell without one skips it
+    const script = [
+      `ulimit -t ${limits.cpu}`,
+      `ulimit -v ${Math.floor(limits.memory / 1024)}`,
+      `ulimit -f ${Math.floor(limits.fileSize / 512)}`,
+      `ulimit -n ${limits.openFiles}`
+    ].map(line => `${line} 2>/dev/null;`).join(' ');
+    return { command: '/bin/sh', args: ['-c', `${script} exec "$@"`, 'sh', command, ...args] };
+  }
+  return { command, args };
+}
+
 /**
  * Central Execution Engine
  * Philosophy: Every action requires intent verification
@@ -158,44 +279,132 @@ export class ExecutionEngine {
   }
 
   /**
-   * Execute the prompt
+   * Execute the prompt: write it to a file in a private temp directory and
+   * run that with its interpreter (see resolveInterpreter), without a shell
+   * in between. The directory is removed afterwards. `options.timeout`
+   * (ms) stops it when it runs longer; see run(). With `options.sandbox`
+   * it runs in an empty directory next to the file, with a scrubbed
+   * environment and resource limits; see planExecution().
    */
-  async execute(content, promptName) {
+  async execute(content, promptName, options = {}) {
     console.log();
-    console.log(chalk.green.bold('  ⚡ EXECUTING...'));
+    console.log(chalk.green.bold(options.sandbox ? '  ⚡ EXECUTING IN SANDBOX...' : '  ⚡ EXECUTING...'));
     console.log();
-    
-    // Determine shell
-    const shell = process.platform === 'win32' ? 'cmd.exe' : '/bin/sh';
-    const shellArgs = process.platform === 'win32' ? ['/c'] : ['-c'];
-    
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cuecli-run-'));
+    try {
+      const work = path.join(dir, 'work');
+      const plan = planExecution(content, { ...options, dir: work });
+      // cmd.exe only runs batch files by their extension
+      const file = path.join(dir, plan.command === 'cmd.exe' ? 'prompt.cmd' : 'prompt');
+      await fs.writeFile(file, content, { mode: 0o700 });
+
+      let { command, args } = plan;
+      args = [...args, file];
+      if (plan.sandbox) {
+        await fs.ensureDir(work, 0o700);
+        if (!plan.sandbox.limiter) {
+          console.error(chalk.yellow('  Resource limits are not available on this system; running without them'));
+        }
+        ({ command, args } = withLimits(command, args, plan.sandbox.limits, plan.sandbox.limiter));
+      }
+      return await this.run(command, args, promptName, { ...options, cwd: plan.cwd, env: plan.env });
+    } finally {
+      await fs.remove(dir);
+    }
+  }
+
+  /**
+   * Run a command on the terminal. Resolves with { executed, exitCode,
+   * signal, timedOut }: a child killed by a signal exits with 128 plus its
+   * number, one stopped by `options.timeout` (ms) with 124.
+   *
+   * The child gets a session and process group of its own. SIGINT
+   * (Ctrl+C in a terminal) and SIGTERM sent to cuecli, and the timeout, go
+   * to that whole group; whatever is still running `options.grace` ms
+   * (default 5s) later, or once the child has exited, is killed. The child
+   * still reads the terminal through its stdin, but has no controlling
+   * terminal to open as /dev/tty. `options.cwd` and `options.env` default
+   * to cuecli's own.
+   */
+  run(command, args, promptName, options = {}) {
+    const grace = options.grace ?? KILL_GRACE_MS;
+    // Windows has no process groups to signal
+    const ownGroup = process.platform !== 'win32';
+
     return new Promise((resolve, reject) => {
-      const child = spawn(shell, [...shellArgs, content], {
+      const child = spawn(command, args, {
         stdio: 'inherit',
-        shell: true
+        detached: ownGroup,
+        cwd: options.cwd,
+        env: options.env
       });
+      let timedOut = false;
+      let timeoutTimer = null;
+      let killTimer = null;
+
+      const signal = name => {
+        try {
+          process.kill(ownGroup ? -child.pid : child.pid, name);
+        } catch {
+          // Already gone
+        }
+      };
+      const stop = name => {
+        signal(name);
+        killTimer ??= setTimeout(() => signal('SIGKILL'), grace);
+      };
+      const onSigint = () => stop('SIGINT');
+      const onSigterm = () => stop('SIGTERM');
+      const cleanup = () => {
+        clearTimeout(timeoutTimer);
+        if (killTimer) {
+          // Processes the child started that outlived it after a stop
+          clearTimeout(killTimer);
+          signal('SIGKILL');
+        }
+        process.off('SIGINT', onSigint);
+        process.off('SIGTERM', onSigterm);
+      };
+
+      process.on('SIGINT', onSigint);
+      process.on('SIGTERM', onSigterm);
+      if (options.timeout) {
+        timeoutTimer = setTimeout(() => {
+          timedOut = true;
+          console.error(chalk.yellow(`\n  ⏱ Timed out after ${options.timeout / 1000}s; stopping ${promptName}`));
+          stop('SIGTERM');
+        }, options.timeout);
+      }
       
       child.on('error', error => {
+        cleanup();
         console.error(chalk.red('\n  ✗ Execution failed:'), error.message);
         reject(error);
       });
       
-      child.on('exit', code => {
+      child.on('exit', (code, signalName) => {
+        cleanup();
+        const exitCode = timedOut ? TIMEOUT_EXIT_CODE
+          : code ?? 128 + (os.constants.signals[signalName] || 0);
+
         console.log();
         console.log(chalk.cyan('═══════════════════════════════════════════════════════════'));
         
-        if (code === 0) {
+        if (exitCode === 0) {
           console.log(chalk.green.bold('  ✓ EXECUTION COMPLETED'));
           this.lastExecutedPrompt = promptName;
           this.executionCount++;
+        } else if (timedOut) {
+          console.log(chalk.yellow.bold(`  ⏱ TIMED OUT (exit code ${exitCode})`));
         } else {
-          console.log(chalk.yellow.bold(`  ⚠ EXIT CODE: ${code}`));
+          console.log(chalk.yellow.bold(`  ⚠ EXIT CODE: ${exitCode}${signalName ? ` (${signalName})` : ''}`));
         }
         
         console.log(chalk.cyan('═══════════════════════════════════════════════════════════'));
         console.log();
         
-        resolve({ executed: true, exitCode: code });
+        resolve({ executed: true, exitCode, signal: signalName, timedOut });
       });
     });
   }
@@ -211,9 +420,10 @@ export class ExecutionEngine {
   }
 
   /**
-   * Universal action verifier - for ANY operation that changes state
+   * Universal action verifier - for ANY operation that changes state.
+   * `options.confirmed` (a --yes flag) shows the action without asking.
    */
-  async verifyAction(actionType, details, callback) {
+  async verifyAction(actionType, details, callback, options = {}) {
     // Clear separation
     console.log();
     
@@ -245,7 +455,12 @@ export class ExecutionEngine {
     
     // Confirmation prompt
     console.log();
-    const confirmed = await this.promptForConfirmation(actionType);
+    let confirmed = true;
+    if (options.confirmed) {
+      console.log(chalk.gray('  Confirmed with --yes'));
+    } else {
+      confirmed = await this.promptForConfirmation(actionType);
+    }
     
     if (confirmed) {
       console.log();
@@ -277,8 +492,16 @@ export class ExecutionEngine {
       import: chalk.green('📥 Import'),
       backup: chalk.yellow('💾 Backup'),
       restore: chalk.magenta('♻️  Restore'),
+      revert: chalk.magenta('⏪ Revert'),
       clear: chalk.red('🧹 Clear'),
-      sync: chalk.cyan('🔄 Sync')
+      sync: chalk.cyan('🔄 Sync'),
+      migrate: chalk.blue('🚚 Migrate'),
+      repair: chalk.green('🩺 Repair'),
+      encrypt: chalk.blue('🔒 Encrypt'),
+      decrypt: chalk.yellow('🔓 Decrypt'),
+      empty: chalk.red('🗑️  Empty'),
+      move: chalk.blue('📦 Move'),
+      copy: chalk.green('📋 Copy')
     };
     
     return badges[actionType] || chalk.gray('⚙️  ' + actionType);
@@ -289,9 +512,17 @@ export class ExecutionEngine {
    */
   async promptForConfirmation(actionType) {
     const messages = {
-      delete: 'Delete this prompt?',
+      delete: 'Move this prompt to the trash?',
       export: 'Export prompts?',
       import: 'Import prompts?',
+      revert: 'Revert this prompt?',
+      migrate: 'Migrate the library?',
+      repair: 'Repair these prompts?',
+      encrypt: 'Encrypt the library?',
+      decrypt: 'Store the library in plaintext?',
+      empty: 'Permanently delete these prompts?',
+      move: 'Rename this prompt?',
+      copy: 'Copy this prompt?',
       clear: 'Clear all data?',
       default: 'Proceed with action?'
     };
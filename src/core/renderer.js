@@ -0,0 +1,61 @@
+import storage from '../storage/library.js';
+import sanitizer from '../utils/sanitizer.js';
+
+/**
+ * What rendering a prompt takes beyond its content: { prompt, prompts,
+ * renderOptions }. `prompt` carries the declarations of the prompts it
+ * includes ({{> name}}) where it does not declare a variable itself;
+ * `prompts` lists it and every prompt it includes; `renderOptions` go to
+ * substituteVariables() and findMissingVariables().
+ */
+export function preparePrompt(name, prompt) {
+  const included = getIncludedPrompts(name);
+  return {
+    prompt: {
+      ...prompt,
+      declarations: Object.assign({}, ...included.map(other => other.declarations).reverse(), prompt.declarations)
+    },
+    prompts: [prompt, ...included],
+    renderOptions: { name, include: other => storage.getInclude(other) }
+  };
+}
+
+/**
+ * Run the values of `keys` through the sanitizer before they are filled
+ * in: flagged values are sanitized, unless `raw`. (Filters like truncate
+ * could otherwise cut a secret short of what the scan of the whole output
+ * recognizes.) Returns { values, flagged } where flagged lists
+ * { key, types, redacted } for each value with sensitive data.
+ */
+export function scanValues(values, keys, raw = false) {
+  const scanned = { ...values };
+  const flagged = [];
+  for (const key of keys) {
+    const value = String(values[key]);
+    const findings = sanitizer.scan(value);
+    if (findings.length === 0) {
+      continue;
+    }
+
+    let redacted = 0;
+    if (!raw) {
+      scanned[key] = sanitizer.sanitize(value);
+      redacted = sanitizer.getStats().totalRedacted;
+    }
+    flagged.push({ key, types: findings.map(finding => finding.type), redacted });
+  }
+  return { values: scanned, flagged };
+}
+
+// The prompts `name` includes, directly or through other includes, each
+// once. Includes that are not found are left to rendering to report.
+function getIncludedPrompts(name, seen = new Set([name])) {
+  const prompts = [];
+  for (const included of storage.getIncludes(name)) {
+    if (included.found && !seen.has(included.name)) {
+      seen.add(included.name);
+      prompts.push(storage.getPrompt(included.name), ...getIncludedPrompts(included.name, seen));
+    }
+  }
+  return prompts;
+}
@@ -6,13 +6,25 @@
  */
 
 // Import core modules
-import storage from './storage/local.js';
+import storage from './storage/library.js';
 import sanitizer, { Sanitizer } from './utils/sanitizer.js';
 import logger from './utils/logger.js';
 
 // Export storage functionality
 export { LocalStorage } from './storage/local.js';
-export { default as storage } from './storage/local.js';
+export { PromptLibrary, findProjectDir } from './storage/library.js';
+export {
+  StorageBackend,
+  JsonFileBackend,
+  MarkdownDirBackend,
+  EncryptedFileBackend,
+  createBackend,
+} from './storage/backends/index.js';
+export { default as storage } from './storage/library.js';
+export { setPassphrase } from './storage/encryption.js';
+export { GitSync, HttpSync, createSyncProvider, createSyncServer, syncLibrary } from './sync/index.js';
+export { revisionId, compareRevisions, mergePrompts, mergeRecords } from './storage/revisions.js';
+export { SCHEMA_VERSION, MIGRATIONS, migrateLibrary, validatePrompt, repairPrompt } from './storage/schema.js';
 
 // Export command functions
 export { getCommand } from './commands/enhanced-get.js';
@@ -20,11 +32,32 @@ export { listCommand } from './commands/list.js';
 export { addCommand } from './commands/add.js';
 export { editCommand } from './commands/edit.js';
 export { exportCommand, importCommand } from './commands/export.js';
+export { initCommand } from './commands/init.js';
+export { storageInfoCommand, storageMigrateCommand } from './commands/storage.js';
+export { doctorCommand } from './commands/doctor.js';
+export { trashListCommand, trashRestoreCommand, trashEmptyCommand } from './commands/trash.js';
+export { encryptCommand, decryptCommand } from './commands/encrypt.js';
+export { historyCommand, diffCommand, revertCommand } from './commands/history.js';
+export { moveCommand, copyCommand } from './commands/move.js';
+export { syncCommand, syncSetupCommand, syncServerCommand } from './commands/sync.js';
+export {
+  backupListCommand,
+  backupShowCommand,
+  backupRestoreCommand,
+  backupCreateCommand,
+} from './commands/backup.js';
 
 // Export utilities
 export { Sanitizer, sanitizer };
 export { copyToClipboard } from './utils/clipboard.js';
-export { substituteVariables, parseVariables } from './utils/template.js';
+export { substituteVariables, findMissingVariables, extractVariables, extractIncludes, validateTemplate, parseVariables } from './utils/template.js';
+export { parseTemplate } from './utils/template-parser.js';
+export { loadVariables, readVariablesFile } from './utils/variable-sources.js';
+export { parseMatrix, matrixFormat } from './utils/matrix.js';
+export { parseDuration } from './utils/duration.js';
+export { VARIABLE_TYPES, checkValue, validateValues, checkDeclaration } from './utils/variables.js';
+export { diffLines, unifiedDiff, merge3 } from './utils/diff.js';
+export { buildTree, flattenTree, leafName, renameNamespace } from './utils/namespace.js';
 export { logger };
 
 // Export version
@@ -0,0 +1,39 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * Write a file atomically: the content goes to a temp file in the same
+ * directory, is flushed to disk, and is then renamed over the target.
+ * Readers see either the old file or the new one, never a partial write.
+ */
+export function writeFileAtomicSync(file, content) {
+  const dir = path.dirname(file);
+  const tmpFile = path.join(
+    dir,
+    `.${path.basename(file)}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2, 8)}.tmp`
+  );
+
+  let fd = null;
+  try {
+    fd = fs.openSync(tmpFile, 'w', 0o600);
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fd = null;
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    if (fd !== null) {
+      try { fs.closeSync(fd); } catch { /* already closed */ }
+    }
+    fs.removeSync(tmpFile);
+    throw error;
+  }
+}
+
+/**
+ * Serialize data as pretty-printed JSON and write it atomically
+ */
+export function writeJsonAtomicSync(file, data, options = {}) {
+  const { spaces = 2 } = options;
+  writeFileAtomicSync(file, JSON.stringify(data, null, spaces) + '\n');
+}
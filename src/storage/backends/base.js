@@ -0,0 +1,139 @@
+import { writeJsonAtomicSync } from '../atomic.js';
+
+/**
+ * Storage backend interface.
+ *
+ * A backend persists prompt records for one library directory. It knows
+ * nothing about versions, history or backups; LocalStorage layers those on
+ * top. Records are plain objects as stored in prompts.json (`content`,
+ * `tags`, `version`, `history`, ...). Library-level fields other than the
+ * prompts themselves (for example `config`) are "meta".
+ *
+ * Backends are synchronous, like the rest of the storage layer.
+ */
+export class StorageBackend {
+  constructor(options = {}) {
+    this.dir = options.dir;
+  }
+
+  // Short identifier used in config and on the command line
+  static get type() {
+    throw new Error('Storage backend must define a type');
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  // Whether data is encrypted at rest; files kept alongside the library
+  // (backups, trash) are then encrypted too, with encode()
+  get encrypted() {
+    return false;
+  }
+
+  // Whether a library already exists in this directory
+  exists() {
+    throw new Error(`${this.type} backend does not implement exists()`);
+  }
+
+  // Create an empty library with the given meta
+  init(_meta = {}) {
+    throw new Error(`${this.type} backend does not implement init()`);
+  }
+
+  // Get a single prompt record, or null
+  get(_name) {
+    throw new Error(`${this.type} backend does not implement get()`);
+  }
+
+  // Store a prompt record as-is and return it
+  set(_name, _record) {
+    throw new Error(`${this.type} backend does not implement set()`);
+  }
+
+  // Remove a prompt; returns false when it did not exist
+  delete(_name) {
+    throw new Error(`${this.type} backend does not implement delete()`);
+  }
+
+  // All prompt records keyed by name
+  list() {
+    throw new Error(`${this.type} backend does not implement list()`);
+  }
+
+  has(name) {
+    return this.get(name) !== null;
+  }
+
+  // Names of all prompts, sorted
+  names() {
+    return Object.keys(this.list()).sort();
+  }
+
+  /**
+   * Prompt records matching every given criterion:
+   * - tags: at least one of these tags
+   * - prefix: name starts with this string
+   */
+  query(criteria = {}) {
+    const { tags, prefix } = criteria;
+    const matches = {};
+
+    for (const [name, record] of Object.entries(this.list())) {
+      if (prefix && !name.startsWith(prefix)) continue;
+      if (tags && tags.length > 0 && !(record.tags || []).some(tag => tags.includes(tag))) continue;
+      matches[name] = record;
+    }
+
+    return matches;
+  }
+
+  readMeta() {
+    throw new Error(`${this.type} backend does not implement readMeta()`);
+  }
+
+  writeMeta(_meta) {
+    throw new Error(`${this.type} backend does not implement writeMeta()`);
+  }
+
+  // The whole library in prompts.json form: { ...meta, prompts }
+  snapshot() {
+    return { ...this.readMeta(), prompts: this.list() };
+  }
+
+  // Write a snapshot to a backup file
+  writeSnapshot(file) {
+    writeJsonAtomicSync(file, this.snapshot());
+  }
+
+  // Replace the whole library with a snapshot
+  restore(data) {
+    const { prompts = {}, ...meta } = data;
+    for (const name of Object.keys(this.list())) {
+      if (!(name in prompts)) {
+        this.delete(name);
+      }
+    }
+    for (const [name, record] of Object.entries(prompts)) {
+      this.set(name, record);
+    }
+    this.writeMeta(meta);
+  }
+
+  // Move unreadable data out of the way; returns where it went, or null
+  quarantine() {
+    return null;
+  }
+
+  // Remove every file this backend owns
+  clear() {
+    throw new Error(`${this.type} backend does not implement clear()`);
+  }
+
+  // Human-readable location of the library
+  describe() {
+    return this.dir;
+  }
+}
+
+export default StorageBackend;
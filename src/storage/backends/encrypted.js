@@ -0,0 +1,48 @@
+import path from 'path';
+import { JsonFileBackend } from './json.js';
+import { encrypt, decrypt, isEncrypted } from '../encryption.js';
+
+/**
+ * The JSON library encrypted at rest in prompts.json.enc (AES-256-GCM with
+ * a scrypt-derived key, see ../encryption.js). No plaintext index is kept,
+ * so every read decrypts the whole file; the in-process cache still avoids
+ * doing that more than once per change.
+ */
+export class EncryptedFileBackend extends JsonFileBackend {
+  static get type() {
+    return 'encrypted';
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.file = path.join(this.dir, 'prompts.json.enc');
+    this.salt = null;
+  }
+
+  get indexed() {
+    return false;
+  }
+
+  get encrypted() {
+    return true;
+  }
+
+  encode(data) {
+    // Reuse the salt so the derived key, and backups, stay unlockable in one step
+    const envelope = encrypt(JSON.stringify(data), { salt: this.salt });
+    this.salt = envelope.kdf.salt;
+    return Buffer.from(JSON.stringify(envelope, null, 2) + '\n');
+  }
+
+  decode(buffer) {
+    const envelope = JSON.parse(buffer.toString('utf8'));
+    if (!isEncrypted(envelope)) {
+      throw new SyntaxError(`${this.file}: not an encrypted prompt library`);
+    }
+    const data = JSON.parse(decrypt(envelope).toString('utf8'));
+    this.salt = envelope.kdf.salt;
+    return data;
+  }
+}
+
+export default EncryptedFileBackend;
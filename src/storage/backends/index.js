@@ -0,0 +1,32 @@
+import { JsonFileBackend } from './json.js';
+import { MarkdownDirBackend } from './markdown.js';
+import { EncryptedFileBackend } from './encrypted.js';
+
+export { StorageBackend } from './base.js';
+export { JsonFileBackend, MarkdownDirBackend, EncryptedFileBackend };
+
+export const BACKENDS = {
+  [JsonFileBackend.type]: JsonFileBackend,
+  [MarkdownDirBackend.type]: MarkdownDirBackend,
+  [EncryptedFileBackend.type]: EncryptedFileBackend
+};
+
+export function createBackend(type, dir) {
+  const Backend = BACKENDS[type];
+  if (!Backend) {
+    throw new Error(`Unknown storage backend '${type}'. Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  return new Backend({ dir });
+}
+
+/**
+ * Pick the backend for a library directory: the one whose files are
+ * already there (preferring `preferred` if several are), else `preferred`.
+ */
+export function detectBackend(dir, preferred = JsonFileBackend.type) {
+  const present = Object.keys(BACKENDS).filter(type => createBackend(type, dir).exists());
+  if (present.includes(preferred) || present.length === 0) {
+    return createBackend(preferred, dir);
+  }
+  return createBackend(present[0], dir);
+}
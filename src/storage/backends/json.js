@@ -0,0 +1,306 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { StorageBackend } from './base.js';
+import { writeFileAtomicSync, writeJsonAtomicSync } from '../atomic.js';
+import { findPromptRanges } from '../json-offsets.js';
+
+const INDEX_VERSION = 2;
+
+/**
+ * The whole library in a single prompts.json file.
+ *
+ * Parsed data is cached in-process, and prompts.index.json records each
+ * prompt's tags and byte range in prompts.json, plus the library meta.
+ * Both are keyed by the file's inode, size and mtime; every write is an
+ * atomic rename, so any change made by another process invalidates them.
+ * While the index is fresh, single-prompt reads and tag queries only parse
+ * the records they return.
+ */
+export class JsonFileBackend extends StorageBackend {
+  static get type() {
+    return 'json';
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.file = path.join(this.dir, 'prompts.json');
+    this.indexFile = path.join(this.dir, 'prompts.index.json');
+    this.cache = null;
+    this.index = null;
+  }
+
+  // Whether prompts.index.json is kept; it holds names and tags in plaintext
+  get indexed() {
+    return true;
+  }
+
+  exists() {
+    return fs.existsSync(this.file);
+  }
+
+  init(meta = {}) {
+    this.save({ prompts: {}, ...meta });
+  }
+
+  // The parsed library. Callers must not mutate it: it is shared with the cache.
+  load() {
+    const fd = fs.openSync(this.file, 'r');
+    try {
+      const source = statKey(fs.fstatSync(fd));
+      if (this.cache && this.cache.source === source) {
+        return this.cache.data;
+      }
+
+      const buffer = fs.readFileSync(fd);
+      const data = this.decode(buffer);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new SyntaxError(`${this.file}: not a prompt library`);
+      }
+
+      this.cache = { source, data };
+      if (this.indexed && this.readIndex()?.source !== source) {
+        this.writeIndex(source, buffer, data);
+      }
+      return data;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  save(data) {
+    const buffer = this.encode(data);
+    writeFileAtomicSync(this.file, buffer);
+
+    const source = statKey(fs.statSync(this.file));
+    this.cache = { source, data };
+    if (this.indexed) {
+      this.writeIndex(source, buffer, data);
+    }
+  }
+
+  // File contents for a library
+  encode(data) {
+    return Buffer.from(JSON.stringify(data, null, 2) + '\n');
+  }
+
+  // Library from file contents
+  decode(buffer) {
+    return JSON.parse(buffer.toString('utf8'));
+  }
+
+  readIndex() {
+    try {
+      const index = fs.readJsonSync(this.indexFile);
+      return index.version === INDEX_VERSION ? index : null;
+    } catch {
+      return null;
+    }
+  }
+
+  writeIndex(source, buffer, data) {
+    try {
+      const ranges = findPromptRanges(buffer);
+      const meta = { ...data };
+      delete meta.prompts;
+      const prompts = {};
+      const tags = {};
+
+      for (const [name, record] of Object.entries(data.prompts || {})) {
+        prompts[name] = {
+          ...ranges[name],
+          tags: record.tags || [],
+          version: record.version || 1,
+          modified: record.modified || null
+        };
+        for (const tag of prompts[name].tags) {
+          (tags[tag] = tags[tag] || []).push(name);
+        }
+      }
+
+      writeJsonAtomicSync(this.indexFile, { version: INDEX_VERSION, source, meta, prompts, tags }, { spaces: 0 });
+    } catch {
+      // The index is only an optimization; reads fall back to the full file
+    }
+  }
+
+  /**
+   * Answer a read from the cache or the index without parsing the whole
+   * library. `fn(lookup)` receives an object with `meta`, `names`, `entry(name)`,
+   * `tagged(tags)` and `record(name)`; falls back to `fallback(data)` with
+   * the fully parsed library when the index is stale.
+   */
+  withIndex(fn, fallback) {
+    if (!this.indexed) {
+      return fallback(this.load());
+    }
+
+    let fd;
+    try {
+      fd = fs.openSync(this.file, 'r');
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback(this.load());
+      throw error;
+    }
+
+    try {
+      const source = statKey(fs.fstatSync(fd));
+      if (this.cache && this.cache.source === source) {
+        return fallback(this.cache.data);
+      }
+
+      if (!this.index || this.index.source !== source) {
+        this.index = this.readIndex();
+      }
+      const index = this.index;
+      if (!index || index.source !== source) {
+        return fallback(this.load());
+      }
+
+      return fn({
+        meta: index.meta,
+        names: Object.keys(index.prompts),
+        entry: name => (Object.prototype.hasOwnProperty.call(index.prompts, name) ? index.prompts[name] : null),
+        tagged: tags => [...new Set(tags.flatMap(tag => index.tags[tag] || []))],
+        record: name => {
+          const { offset, length } = index.prompts[name];
+          const buffer = Buffer.alloc(length);
+          fs.readSync(fd, buffer, 0, length, offset);
+          return JSON.parse(buffer.toString('utf8'));
+        }
+      });
+    } catch (error) {
+      // A damaged index must never make a readable library unreadable
+      if (error instanceof SyntaxError) {
+        return fallback(this.load());
+      }
+      throw error;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  get(name) {
+    return this.withIndex(
+      index => (index.entry(name) ? index.record(name) : null),
+      data => (hasPrompt(data, name) ? data.prompts[name] : null)
+    );
+  }
+
+  has(name) {
+    return this.withIndex(
+      index => index.entry(name) !== null,
+      data => hasPrompt(data, name)
+    );
+  }
+
+  names() {
+    return this.withIndex(
+      index => [...index.names].sort(),
+      data => Object.keys(data.prompts || {}).sort()
+    );
+  }
+
+  query(criteria = {}) {
+    const { tags, prefix } = criteria;
+    return this.withIndex(
+      index => {
+        const names = tags && tags.length > 0 ? index.tagged(tags) : index.names;
+        const matches = {};
+        for (const name of names.sort()) {
+          if (prefix && !name.startsWith(prefix)) continue;
+          matches[name] = index.record(name);
+        }
+        return matches;
+      },
+      () => super.query(criteria)
+    );
+  }
+
+  set(name, record) {
+    const data = this.load();
+    this.save({ ...data, prompts: { ...(data.prompts || {}), [name]: record } });
+    return record;
+  }
+
+  delete(name) {
+    const data = this.load();
+    if (!hasPrompt(data, name)) {
+      return false;
+    }
+    const prompts = { ...data.prompts };
+    delete prompts[name];
+    this.save({ ...data, prompts });
+    return true;
+  }
+
+  list() {
+    return this.load().prompts || {};
+  }
+
+  readMeta() {
+    return this.withIndex(
+      index => ({ ...index.meta }),
+      data => {
+        const meta = { ...data };
+        delete meta.prompts;
+        return meta;
+      }
+    );
+  }
+
+  writeMeta(meta) {
+    const data = this.load();
+    this.save({ ...meta, prompts: data.prompts || {} });
+  }
+
+  snapshot() {
+    const data = this.load();
+    return { ...data, prompts: data.prompts || {} };
+  }
+
+  // prompts.json already is a snapshot; copy it rather than re-serialize it
+  writeSnapshot(file) {
+    this.load();
+    writeFileAtomicSync(file, fs.readFileSync(this.file));
+  }
+
+  restore(data) {
+    this.save({ ...data, prompts: data.prompts || {} });
+  }
+
+  quarantine() {
+    this.cache = null;
+    this.index = null;
+    fs.removeSync(this.indexFile);
+    if (!fs.existsSync(this.file)) {
+      return null;
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const extension = path.basename(this.file).replace(/^prompts/, '');
+    const target = path.join(this.dir, `prompts.corrupt-${timestamp}${extension}`);
+    fs.moveSync(this.file, target, { overwrite: true });
+    return target;
+  }
+
+  clear() {
+    this.cache = null;
+    this.index = null;
+    fs.removeSync(this.file);
+    fs.removeSync(this.indexFile);
+  }
+
+  describe() {
+    return this.file;
+  }
+}
+
+function hasPrompt(data, name) {
+  return Boolean(data.prompts) && Object.prototype.hasOwnProperty.call(data.prompts, name);
+}
+
+// Identifies one version of a file; atomic renames always change the inode
+function statKey(stat) {
+  return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+}
+
+export default JsonFileBackend;
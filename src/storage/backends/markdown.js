@@ -0,0 +1,322 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { StorageBackend } from './base.js';
+import { writeFileAtomicSync, writeJsonAtomicSync } from '../atomic.js';
+
+const INDEX_VERSION = 1;
+
+// Front matter fields written first, in this order; the rest follow alphabetically
+const FIELD_ORDER = ['name', 'description', 'tags', 'variables', 'version', 'created', 'modified'];
+
+/**
+ * One Markdown file per prompt, so a library diffs cleanly in git:
+ *
+ *   prompts/<name>.md     front matter with metadata, then the content
+ *   history/<name>.json   earlier revisions of the prompt
+ *   library.json          library-level settings
+ *
+ * Slashes in prompt names become subdirectories. Front matter values are
+ * JSON, which keeps them valid YAML while round-tripping exactly.
+ *
+ * Parsed records are cached in-process, and markdown.index.json keeps each
+ * file's tags so tag queries only read the files that match. Both are keyed
+ * by file inode, size and mtime, so hand edits are picked up.
+ */
+export class MarkdownDirBackend extends StorageBackend {
+  static get type() {
+    return 'markdown';
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.promptsDir = path.join(this.dir, 'prompts');
+    this.historyDir = path.join(this.dir, 'history');
+    this.metaFile = path.join(this.dir, 'library.json');
+    this.indexFile = path.join(this.dir, 'markdown.index.json');
+    this.records = new Map();
+  }
+
+  exists() {
+    return fs.existsSync(this.promptsDir);
+  }
+
+  init(meta = {}) {
+    fs.ensureDirSync(this.promptsDir);
+    this.writeMeta(meta);
+  }
+
+  promptFile(name) {
+    return path.join(this.promptsDir, ...encodeName(name)) + '.md';
+  }
+
+  historyFile(name) {
+    return path.join(this.historyDir, ...encodeName(name)) + '.json';
+  }
+
+  get(name) {
+    const file = this.promptFile(name);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return this.readPromptFile(file, name);
+  }
+
+  has(name) {
+    return fs.existsSync(this.promptFile(name));
+  }
+
+  readPromptFile(file, name) {
+    const historyFile = this.historyFile(name);
+    const source = `${fileKey(file)}|${fileKey(historyFile)}`;
+    const cached = this.records.get(file);
+    if (cached && cached.source === source) {
+      return cached.record;
+    }
+
+    const record = parsePromptFile(fs.readFileSync(file, 'utf8'));
+    record.name = name;
+
+    if (fs.existsSync(historyFile)) {
+      try {
+        record.history = fs.readJsonSync(historyFile);
+      } catch {
+        // A damaged history file should not make the prompt unreadable
+        record.history = [];
+      }
+    } else {
+      record.history = [];
+    }
+
+    this.records.set(file, { source, record });
+    return record;
+  }
+
+  // File names are prompt names, so listing them needs no reads
+  names() {
+    return walk(this.promptsDir).map(file => this.nameFromFile(file)).sort();
+  }
+
+  // Only the files that match are read; tags come from the index
+  query(criteria = {}) {
+    const { tags, prefix } = criteria;
+    const hasTags = tags && tags.length > 0;
+    const entries = hasTags ? this.refreshIndex() : null;
+
+    const matches = {};
+    for (const name of this.names()) {
+      if (prefix && !name.startsWith(prefix)) continue;
+      if (hasTags && !(entries[name]?.tags || []).some(tag => tags.includes(tag))) continue;
+      matches[name] = this.get(name);
+    }
+    return matches;
+  }
+
+  // Bring the tag index up to date, re-reading only files that changed
+  refreshIndex() {
+    let index = {};
+    try {
+      const stored = fs.readJsonSync(this.indexFile);
+      if (stored.version === INDEX_VERSION) {
+        index = stored.prompts;
+      }
+    } catch {
+      // Missing or damaged; rebuilt below
+    }
+
+    const prompts = {};
+    let changed = false;
+
+    for (const file of walk(this.promptsDir)) {
+      const name = this.nameFromFile(file);
+      const source = fileKey(file);
+      const entry = index[name];
+
+      if (entry && entry.source === source) {
+        prompts[name] = entry;
+        continue;
+      }
+
+      const record = parsePromptFile(fs.readFileSync(file, 'utf8'));
+      prompts[name] = { source, tags: Array.isArray(record.tags) ? record.tags : [] };
+      changed = true;
+    }
+
+    if (changed || Object.keys(index).length !== Object.keys(prompts).length) {
+      try {
+        writeJsonAtomicSync(this.indexFile, { version: INDEX_VERSION, prompts }, { spaces: 0 });
+      } catch {
+        // The index is only an optimization
+      }
+    }
+
+    return prompts;
+  }
+
+  nameFromFile(file) {
+    const relative = path.relative(this.promptsDir, file).slice(0, -'.md'.length);
+    return decodeName(relative.split(path.sep));
+  }
+
+  set(name, record) {
+    const file = this.promptFile(name);
+    fs.ensureDirSync(path.dirname(file));
+    writeFileAtomicSync(file, formatPromptFile({ ...record, name }));
+
+    const historyFile = this.historyFile(name);
+    if (record.history && record.history.length > 0) {
+      fs.ensureDirSync(path.dirname(historyFile));
+      writeJsonAtomicSync(historyFile, record.history);
+    } else {
+      fs.removeSync(historyFile);
+    }
+
+    return record;
+  }
+
+  delete(name) {
+    const file = this.promptFile(name);
+    if (!fs.existsSync(file)) {
+      return false;
+    }
+    fs.removeSync(file);
+    fs.removeSync(this.historyFile(name));
+    pruneEmptyDirs(path.dirname(file), this.promptsDir);
+    pruneEmptyDirs(path.dirname(this.historyFile(name)), this.historyDir);
+    return true;
+  }
+
+  list() {
+    const prompts = {};
+    for (const file of walk(this.promptsDir)) {
+      const name = this.nameFromFile(file);
+      prompts[name] = this.readPromptFile(file, name);
+    }
+    return prompts;
+  }
+
+  readMeta() {
+    try {
+      return fs.readJsonSync(this.metaFile);
+    } catch {
+      return {};
+    }
+  }
+
+  writeMeta(meta) {
+    writeJsonAtomicSync(this.metaFile, meta);
+  }
+
+  clear() {
+    this.records.clear();
+    fs.removeSync(this.promptsDir);
+    fs.removeSync(this.historyDir);
+    fs.removeSync(this.metaFile);
+    fs.removeSync(this.indexFile);
+  }
+
+  describe() {
+    return this.promptsDir;
+  }
+}
+
+// Percent-encode each name segment so any prompt name maps to a safe path
+export function encodeName(name) {
+  return name.split('/').map(segment =>
+    encodeURIComponent(segment)
+      .replace(/[!'()*~]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())
+      .replace(/^\./, '%2E')
+  );
+}
+
+export function decodeName(segments) {
+  return segments.map(segment => decodeURIComponent(segment)).join('/');
+}
+
+function formatPromptFile(record) {
+  const fields = Object.keys(record)
+    .filter(key => key !== 'content' && key !== 'history' && record[key] !== undefined)
+    .sort((a, b) => {
+      const ia = FIELD_ORDER.indexOf(a);
+      const ib = FIELD_ORDER.indexOf(b);
+      if (ia !== -1 || ib !== -1) {
+        return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+      }
+      return a.localeCompare(b);
+    });
+
+  const lines = ['---'];
+  for (const key of fields) {
+    lines.push(`${key}: ${JSON.stringify(record[key])}`);
+  }
+  lines.push('---');
+
+  return lines.join('\n') + '\n' + (record.content || '');
+}
+
+function parsePromptFile(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) {
+    // Hand-written file without front matter: it is all content
+    return { content: text };
+  }
+
+  const record = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+
+    const key = line.slice(0, separator).trim();
+    const raw = line.slice(separator + 1).trim();
+    try {
+      record[key] = JSON.parse(raw);
+    } catch {
+      // Allow plain unquoted strings when the file was edited by hand
+      record[key] = raw;
+    }
+  }
+
+  record.content = text.slice(match[0].length);
+  return record;
+}
+
+// Identifies one version of a file, or its absence
+function fileKey(file) {
+  try {
+    const stat = fs.statSync(file);
+    return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+  } catch {
+    return 'missing';
+  }
+}
+
+function walk(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...walk(full));
+    } else if (entry.isFile() && entry.name.endsWith('.md')) {
+      files.push(full);
+    }
+  }
+  return files.sort();
+}
+
+function pruneEmptyDirs(dir, root) {
+  let current = dir;
+  while (current.startsWith(root) && current !== root) {
+    try {
+      if (fs.readdirSync(current).length > 0) return;
+      fs.rmdirSync(current);
+    } catch {
+      return;
+    }
+    current = path.dirname(current);
+  }
+}
+
+export default MarkdownDirBackend;
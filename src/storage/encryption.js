@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+/**
+ * Passphrase-based encryption for library files and backups.
+ *
+ * Files are JSON envelopes holding AES-256-GCM ciphertext. The key is
+ * derived from the passphrase with scrypt; the salt and scrypt parameters
+ * travel with the envelope, so any file can be decrypted on its own.
+ */
+export const ENCRYPTION_FORMAT = 'cuecli-encrypted';
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+
+let passphrase = null;
+
+// Derived keys by salt and parameters; scrypt is deliberately slow
+const keys = new Map();
+
+export function setPassphrase(value) {
+  passphrase = value || null;
+  keys.clear();
+}
+
+export function hasPassphrase() {
+  return Boolean(passphrase || process.env.CUECLI_PASSPHRASE);
+}
+
+export function getPassphrase() {
+  const value = passphrase || process.env.CUECLI_PASSPHRASE;
+  if (!value) {
+    throw passphraseError('The prompt library is encrypted. Set CUECLI_PASSPHRASE or run cuecli in a terminal to enter the passphrase');
+  }
+  return value;
+}
+
+function passphraseError(message) {
+  const error = new Error(message);
+  error.code = 'EPASSPHRASE';
+  return error;
+}
+
+export function isEncrypted(data) {
+  return Boolean(data) && typeof data === 'object' && data.format === ENCRYPTION_FORMAT;
+}
+
+function deriveKey(secret, salt, params) {
+  const id = `${secret}\0${salt.toString('base64')}:${params.N}:${params.r}:${params.p}`;
+  if (!keys.has(id)) {
+    keys.set(id, crypto.scryptSync(secret, salt, KEY_LENGTH, {
+      ...params,
+      maxmem: 128 * params.N * params.r * 2
+    }));
+  }
+  return keys.get(id);
+}
+
+/**
+ * Encrypt a string or buffer into an envelope. Pass the `salt` of an
+ * existing envelope to reuse its derived key.
+ */
+export function encrypt(plaintext, options = {}) {
+  const salt = options.salt ? Buffer.from(options.salt, 'base64') : crypto.randomBytes(SALT_LENGTH);
+  const key = deriveKey(getPassphrase(), salt, SCRYPT);
+  const iv = crypto.randomBytes(IV_LENGTH);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return {
+    format: ENCRYPTION_FORMAT,
+    version: 1,
+    cipher: 'aes-256-gcm',
+    kdf: { name: 'scrypt', ...SCRYPT, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+// Decrypt an envelope back to a buffer
+export function decrypt(envelope) {
+  if (!isEncrypted(envelope) || envelope.cipher !== 'aes-256-gcm' || envelope.kdf?.name !== 'scrypt') {
+    throw new SyntaxError('Not a recognized cuecli encrypted file');
+  }
+
+  const { N, r, p, salt } = envelope.kdf;
+  const key = deriveKey(getPassphrase(), Buffer.from(salt, 'base64'), { N, r, p });
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+  } catch {
+    // GCM cannot tell a wrong key from tampered data
+    throw passphraseError('Could not decrypt the prompt library: wrong passphrase, or the file was modified');
+  }
+}
+
+/**
+ * Read a library file or backup, decrypting it when needed
+ */
+export function readLibraryFile(file) {
+  const data = fs.readJsonSync(file);
+  return isEncrypted(data) ? JSON.parse(decrypt(data).toString('utf8')) : data;
+}
@@ -0,0 +1,130 @@
+// Locate prompt records inside a serialized prompts.json without parsing it.
+//
+// JSON structural characters are all ASCII and UTF-8 continuation bytes are
+// always >= 0x80, so scanning raw bytes is safe and yields byte offsets that
+// can be passed straight to fs.readSync.
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const COLON = 0x3a;
+const COMMA = 0x2c;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+
+function isWhitespace(byte) {
+  return byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09;
+}
+
+function skipWhitespace(buffer, pos) {
+  while (pos < buffer.length && isWhitespace(buffer[pos])) pos++;
+  return pos;
+}
+
+// Position just past the string starting at `pos`
+function skipString(buffer, pos) {
+  pos++;
+  while (pos < buffer.length) {
+    const byte = buffer[pos];
+    if (byte === BACKSLASH) {
+      pos += 2;
+    } else if (byte === QUOTE) {
+      return pos + 1;
+    } else {
+      pos++;
+    }
+  }
+  throw new SyntaxError('Unterminated string in JSON');
+}
+
+// Position just past the value starting at `pos`
+function skipValue(buffer, pos) {
+  const first = buffer[pos];
+
+  if (first === QUOTE) {
+    return skipString(buffer, pos);
+  }
+
+  if (first === OPEN_BRACE || first === OPEN_BRACKET) {
+    let depth = 0;
+    while (pos < buffer.length) {
+      const byte = buffer[pos];
+      if (byte === QUOTE) {
+        pos = skipString(buffer, pos);
+        continue;
+      }
+      if (byte === OPEN_BRACE || byte === OPEN_BRACKET) depth++;
+      if (byte === CLOSE_BRACE || byte === CLOSE_BRACKET) {
+        depth--;
+        if (depth === 0) return pos + 1;
+      }
+      pos++;
+    }
+    throw new SyntaxError('Unterminated object in JSON');
+  }
+
+  // Number, true, false or null
+  while (
+    pos < buffer.length &&
+    !isWhitespace(buffer[pos]) &&
+    buffer[pos] !== COMMA &&
+    buffer[pos] !== CLOSE_BRACE &&
+    buffer[pos] !== CLOSE_BRACKET
+  ) {
+    pos++;
+  }
+  return pos;
+}
+
+// Members of the object starting at `pos`: [{ key, start, end }] for each value
+function scanObject(buffer, pos) {
+  if (buffer[pos] !== OPEN_BRACE) {
+    throw new SyntaxError('Expected an object in JSON');
+  }
+
+  const members = [];
+  pos = skipWhitespace(buffer, pos + 1);
+
+  while (buffer[pos] !== CLOSE_BRACE) {
+    const keyEnd = skipString(buffer, pos);
+    const key = JSON.parse(buffer.toString('utf8', pos, keyEnd));
+
+    pos = skipWhitespace(buffer, keyEnd);
+    if (buffer[pos] !== COLON) {
+      throw new SyntaxError('Expected ":" in JSON');
+    }
+    pos = skipWhitespace(buffer, pos + 1);
+
+    const start = pos;
+    const end = skipValue(buffer, pos);
+    members.push({ key, start, end });
+
+    pos = skipWhitespace(buffer, end);
+    if (buffer[pos] === COMMA) {
+      pos = skipWhitespace(buffer, pos + 1);
+    } else if (buffer[pos] !== CLOSE_BRACE) {
+      throw new SyntaxError('Expected "," or "}" in JSON');
+    }
+  }
+
+  return members;
+}
+
+/**
+ * Byte ranges of every record in the top-level "prompts" object:
+ * { name: { offset, length } }
+ */
+export function findPromptRanges(buffer) {
+  const root = scanObject(buffer, skipWhitespace(buffer, 0));
+  const prompts = root.find(member => member.key === 'prompts');
+  if (!prompts || buffer[prompts.start] !== OPEN_BRACE) {
+    return {};
+  }
+
+  const ranges = {};
+  for (const member of scanObject(buffer, prompts.start)) {
+    ranges[member.key] = { offset: member.start, length: member.end - member.start };
+  }
+  return ranges;
+}
@@ -0,0 +1,395 @@
+import fs from 'fs-extra';
+import path from 'path';
+import globalStorage, { LocalStorage, getConfigDir } from './local.js';
+import { leafName, renameNamespace } from '../utils/namespace.js';
+import { extractIncludes } from '../utils/template.js';
+
+export const SCOPES = ['project', 'global'];
+
+const PROJECT_DIR_NAME = '.cuecli';
+
+// Files in a project library that should never be committed
+const PROJECT_GITIGNORE = [
+  'backups/',
+  '*.lock',
+  'prompts.corrupt-*.json',
+  'trash.json',
+  'last-used.json',
+  '*.index.json',
+  '.*.tmp',
+  ''
+].join('\n');
+
+/**
+ * Find the nearest project library by walking up from `cwd`.
+ * The global config directory is never treated as a project library.
+ */
+export function findProjectDir(cwd = process.cwd()) {
+  const globalDir = path.resolve(getConfigDir());
+  let dir = path.resolve(cwd);
+
+  for (;;) {
+    const candidate = path.join(dir, PROJECT_DIR_NAME);
+    if (path.resolve(candidate) !== globalDir && isDirectory(candidate)) {
+      return candidate;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+function isDirectory(dir) {
+  try {
+    return fs.statSync(dir).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Prompt library that layers a project library (a `.cuecli/` folder found
+ * by walking up from the cwd) over the global one. Project prompts shadow
+ * global prompts with the same name. Writes go to the scope passed in
+ * `options.scope`, or else to the scope the prompt currently resolves from,
+ * or else to the global library.
+ */
+export class PromptLibrary {
+  constructor(options = {}) {
+    this.cwd = options.cwd || process.cwd();
+    this.global = options.global || globalStorage;
+    this.project = undefined;
+  }
+
+  // Project library for the current directory, or null outside a project
+  getProjectStore() {
+    if (this.project === undefined) {
+      const dir = findProjectDir(this.cwd);
+      this.project = dir ? new LocalStorage({ dir }) : null;
+    }
+    return this.project;
+  }
+
+  hasProject() {
+    return this.getProjectStore() !== null;
+  }
+
+  getProjectDir() {
+    return this.getProjectStore()?.dir || null;
+  }
+
+  // Create a project library in `dir` (defaults to the cwd)
+  initProject(dir = this.cwd) {
+    const projectDir = path.join(path.resolve(dir), PROJECT_DIR_NAME);
+    if (path.resolve(projectDir) === path.resolve(getConfigDir())) {
+      throw new Error(`${projectDir} is the global library`);
+    }
+
+    fs.ensureDirSync(projectDir);
+    const gitignore = path.join(projectDir, '.gitignore');
+    if (!fs.existsSync(gitignore)) {
+      fs.writeFileSync(gitignore, PROJECT_GITIGNORE);
+    }
+
+    this.project = new LocalStorage({ dir: projectDir });
+    return projectDir;
+  }
+
+  validateScope(scope) {
+    if (scope && !SCOPES.includes(scope)) {
+      throw new Error(`Invalid scope '${scope}'. Use 'project' or 'global'`);
+    }
+    return scope;
+  }
+
+  getStore(scope) {
+    this.validateScope(scope);
+    if (scope === 'project') {
+      const project = this.getProjectStore();
+      if (!project) {
+        throw new Error('No project library found. Run `cuecli init` to create one in this directory');
+      }
+      return project;
+    }
+    return this.global;
+  }
+
+  // Stores to read from, highest precedence first
+  getLayers(scope) {
+    if (scope) {
+      return [[scope, this.getStore(scope)]];
+    }
+    const layers = [];
+    const project = this.getProjectStore();
+    if (project) {
+      layers.push(['project', project]);
+    }
+    layers.push(['global', this.global]);
+    return layers;
+  }
+
+  // Scope a prompt resolves from, or null when it does not exist
+  findScope(name) {
+    for (const [scope, store] of this.getLayers()) {
+      if (store.promptExists(name)) {
+        return scope;
+      }
+    }
+    return null;
+  }
+
+  // Scope a write should go to
+  resolveScope(name, scope) {
+    this.validateScope(scope);
+    return scope || this.findScope(name) || 'global';
+  }
+
+  // Every scope a prompt exists in, highest precedence first
+  getLocations(name) {
+    return this.getLayers()
+      .filter(([, store]) => store.promptExists(name))
+      .map(([scope]) => scope);
+  }
+
+  // Get all prompts, project prompts shadowing global ones
+  getAllPrompts(options = {}) {
+    const merged = {};
+    for (const [, store] of [...this.getLayers(options.scope)].reverse()) {
+      Object.assign(merged, store.getAllPrompts());
+    }
+    return merged;
+  }
+
+  // Names of all prompts, sorted, without reading them
+  getPromptNames(options = {}) {
+    const names = new Set();
+    for (const [, store] of this.getLayers(options.scope)) {
+      store.getPromptNames().forEach(name => names.add(name));
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Full name for `name`: the name itself when such a prompt exists,
+   * otherwise the only prompt whose last segment is `name`
+   * (`owasp` for `review/security/owasp`). Returns null when nothing
+   * matches and throws when several prompts share that leaf name.
+   */
+  resolveName(name, options = {}) {
+    if (this.promptExists(name, options)) {
+      return name;
+    }
+
+    const matches = this.getPromptNames(options).filter(candidate => leafName(candidate) === name);
+    if (matches.length > 1) {
+      throw new Error(`'${name}' is ambiguous: ${matches.join(', ')}`);
+    }
+    return matches[0] || null;
+  }
+
+  getPrompt(name, options = {}) {
+    for (const [, store] of this.getLayers(options.scope)) {
+      const prompt = store.getPrompt(name);
+      if (prompt) {
+        return prompt;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A prompt as {{> name}} includes it, found like resolveName() finds it:
+   * { name, content, declarations } with the full name, or null
+   */
+  getInclude(name, options = {}) {
+    const fullName = this.resolveName(name, options);
+    const prompt = fullName && this.getPrompt(fullName, options);
+    return prompt ? { name: fullName, content: prompt.content || '', declarations: prompt.declarations } : null;
+  }
+
+  /**
+   * Prompts that `name` includes directly: [{ name, found }] with full
+   * names for those found. A prompt that does not parse includes nothing.
+   */
+  getIncludes(name, options = {}) {
+    let names;
+    try {
+      names = extractIncludes(this.getPrompt(name, options)?.content || '');
+    } catch {
+      return [];
+    }
+    return names.map(included => {
+      try {
+        const found = this.getInclude(included, options);
+        return found ? { name: found.name, found: true } : { name: included, found: false };
+      } catch {
+        return { name: included, found: false };
+      }
+    });
+  }
+
+  // Names of the prompts that include `name` directly
+  getDependents(name, options = {}) {
+    return this.getPromptNames(options)
+      .filter(other => this.getIncludes(other, options).some(included => included.found && included.name === name));
+  }
+
+  promptExists(name, options = {}) {
+    return this.getLayers(options.scope).some(([, store]) => store.promptExists(name));
+  }
+
+  setPrompt(name, promptData, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).setPrompt(name, promptData, options);
+  }
+
+  deletePrompt(name, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).deletePrompt(name);
+  }
+
+  // Trashed prompts of every library (or just `options.scope`), newest
+  // first, each with the scope it was deleted from
+  listTrash(options = {}) {
+    return this.getLayers(options.scope)
+      .flatMap(([scope, store]) => store.readTrash().map(entry => ({ ...entry, scope })))
+      .sort((a, b) => String(b.deleted).localeCompare(String(a.deleted)));
+  }
+
+  // Restore from the trash of the library the prompt was deleted from
+  restoreFromTrash(name, options = {}) {
+    const layer = this.getLayers(options.scope)
+      .find(([, store]) => store.readTrash().some(entry => entry.name === name));
+    if (!layer) {
+      throw new Error(`'${name}' is not in the trash`);
+    }
+    return { scope: layer[0], prompt: layer[1].restoreFromTrash(name, { as: options.as }) };
+  }
+
+  // Permanently remove trashed prompts; returns the removed entries
+  emptyTrash(options = {}) {
+    return this.getLayers(options.scope)
+      .flatMap(([scope, store]) => store.emptyTrash(options.before).map(entry => ({ ...entry, scope })));
+  }
+
+  // Variable values last used with a prompt: { VARIABLE: value }
+  getLastUsedValues(name, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).readLastUsed()[name] || {};
+  }
+
+  rememberValues(name, values, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).rememberValues(name, values);
+  }
+
+  // Copies and moves stay within the library the source prompt is in
+  copyPrompt(from, to, options = {}) {
+    return this.getStore(this.resolveScope(from, options.scope)).copyPrompt(from, to, options);
+  }
+
+  movePrompt(from, to, options = {}) {
+    return this.getStore(this.resolveScope(from, options.scope)).movePrompt(from, to, options);
+  }
+
+  // Moves a namespace move would make, without writing anything:
+  // [[from, to, scope], ...]
+  planNamespaceMove(from, to, options = {}) {
+    return this.getLayers(options.scope).flatMap(([scope, store]) =>
+      renameNamespace(store.getPromptNames(), from, to).map(([oldName, newName]) => [oldName, newName, scope])
+    );
+  }
+
+  // Move every prompt under namespace `from` (e.g. `review/`) to `to`,
+  // within each library that has some
+  moveNamespace(from, to, options = {}) {
+    const moves = this.planNamespaceMove(from, to, options);
+    for (const scope of new Set(moves.map(([, , scope]) => scope))) {
+      const pairs = moves.filter(move => move[2] === scope).map(([oldName, newName]) => [oldName, newName]);
+      this.getStore(scope).copyPrompts(pairs, { force: options.force, move: true });
+    }
+    return moves;
+  }
+
+  getPromptsByTags(tags, options = {}) {
+    if (!tags || tags.length === 0) {
+      return this.getAllPrompts(options);
+    }
+    return this.queryPrompts({ tags }, options);
+  }
+
+  // Query each layer's index ({ tags, prefix }); a project prompt shadows a
+  // global prompt with the same name even when only the global one matches
+  queryPrompts(criteria, options = {}) {
+    const layers = this.getLayers(options.scope);
+    const matches = {};
+    layers.forEach(([, store], i) => {
+      for (const [name, prompt] of Object.entries(store.queryPrompts(criteria))) {
+        const shadowed = layers.slice(0, i).some(([, higher]) => higher.promptExists(name));
+        if (!shadowed) {
+          matches[name] = prompt;
+        }
+      }
+    });
+    return matches;
+  }
+
+  getHistory(name, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).getHistory(name);
+  }
+
+  getRevision(name, version, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).getRevision(name, version);
+  }
+
+  revertPrompt(name, version, options = {}) {
+    return this.getStore(this.resolveScope(name, options.scope)).revertPrompt(name, version);
+  }
+
+  // Backend a library is stored with
+  getBackendType(options = {}) {
+    return this.getStore(options.scope || 'global').backend.type;
+  }
+
+  getLocation(options = {}) {
+    return this.getStore(options.scope || 'global').backend.describe();
+  }
+
+  migrate(type, options = {}) {
+    return this.getStore(options.scope || 'global').migrate(type);
+  }
+
+  checkPrompts(options = {}) {
+    return this.getStore(options.scope || 'global').checkPrompts();
+  }
+
+  repairPrompts(options = {}) {
+    return this.getStore(options.scope || 'global').repairPrompts();
+  }
+
+  getSchemaVersion(options = {}) {
+    return this.getStore(options.scope || 'global').getSchemaVersion();
+  }
+
+  // Backups belong to a single library; the global one by default
+  createBackup(options = {}) {
+    return this.getStore(options.scope || 'global').createBackup();
+  }
+
+  listBackups(options = {}) {
+    return this.getStore(options.scope || 'global').listBackups();
+  }
+
+  findBackup(ref, options = {}) {
+    return this.getStore(options.scope || 'global').findBackup(ref);
+  }
+
+  readBackup(ref, options = {}) {
+    return this.getStore(options.scope || 'global').readBackup(ref);
+  }
+
+  restoreBackup(ref, names = null, options = {}) {
+    return this.getStore(options.scope || 'global').restoreBackup(ref, names);
+  }
+}
+
+export default new PromptLibrary();
@@ -1,150 +1,503 @@
 import fs from 'fs-extra';
+import chalk from 'chalk';
 import path from 'path';
 import os from 'os';
+import config from '../config/config.js';
+import { FileLock } from './lock.js';
+import { writeFileAtomicSync } from './atomic.js';
+import { createBackend, detectBackend } from './backends/index.js';
+import {
+  SCHEMA_VERSION,
+  createLibraryMeta,
+  getSchemaVersion,
+  migrateLibrary,
+  validatePrompt,
+  repairPrompt,
+  formatProblems,
+  isIsoDate
+} from './schema.js';
+import { isEncrypted, readLibraryFile } from './encryption.js';
+import { createRevision, revisionId } from './revisions.js';
 
-const getConfigDir = () => process.env.CUECLI_CONFIG_DIR || path.join(os.homedir(), '.cuecli');
-const getPromptsFile = () => path.join(getConfigDir(), 'prompts.json');
-const getBackupDir = () => path.join(getConfigDir(), 'backups');
+export const getConfigDir = () => process.env.CUECLI_CONFIG_DIR || path.join(os.homedir(), '.cuecli');
 
+// A prompt library in a directory (global ~/.cuecli or a project .cuecli/).
+// Prompt records are persisted by a storage backend; this class adds
+// versions and history, backups, locking, schema migrations and corruption
+// recovery on top.
 export class LocalStorage {
-  constructor() {
+  constructor(options = {}) {
+    this.dir = options.dir || getConfigDir();
+    this.schemaChecked = false;
+    // Set once this process changes the library (for sync.autoSync)
+    this.changed = false;
+    this.lock = new FileLock(this.getLockFile());
+    this.backend = options.backend
+      ? createBackend(options.backend, this.dir)
+      : detectBackend(this.dir, config.get('storage.backend', 'json'));
     this.ensureConfigDir();
   }
 
+  getBackupDir() {
+    return path.join(this.dir, 'backups');
+  }
+
+  getLockFile() {
+    return path.join(this.dir, 'prompts.json.lock');
+  }
+
+  getTrashFile() {
+    return path.join(this.dir, 'trash.json');
+  }
+
+  getLastUsedFile() {
+    return path.join(this.dir, 'last-used.json');
+  }
+
   ensureConfigDir() {
-    fs.ensureDirSync(getConfigDir());
-    fs.ensureDirSync(getBackupDir());
+    fs.ensureDirSync(this.dir);
+    fs.ensureDirSync(this.getBackupDir());
     
-    // Initialize prompts file if it doesn't exist
-    if (!fs.existsSync(getPromptsFile())) {
+    // Initialize the library if it doesn't exist
+    if (!this.backend.exists()) {
       this.initializeStorage();
     }
   }
 
   initializeStorage() {
-    const initialData = {
-      prompts: {},
-      config: {
-        defaultEditor: process.env.EDITOR || 'code',
-        syncEnabled: false,
-        apiKey: null,
-        createdAt: new Date().toISOString()
-      }
-    };
-    fs.writeJsonSync(getPromptsFile(), initialData, { spaces: 2 });
+    this.backend.init(createLibraryMeta());
   }
 
-  // Read all data
-  read() {
+  // Run pending schema migrations, once per process. The library is
+  // backed up first, even when automatic backups are turned off.
+  ensureSchema() {
+    if (this.schemaChecked) {
+      return;
+    }
+
+    if (getSchemaVersion(this.backend.readMeta()) !== SCHEMA_VERSION) {
+      this.transaction(() => {
+        const data = this.backend.snapshot();
+        // Another process may have migrated while we waited for the lock
+        if (getSchemaVersion(data) === SCHEMA_VERSION) {
+          return;
+        }
+
+        const { data: migrated } = migrateLibrary(data);
+        const backupFile = this.createBackup({ force: true });
+        if (!backupFile) {
+          throw new Error(`Could not back up ${this.backend.describe()} before upgrading it to schema v${SCHEMA_VERSION}`);
+        }
+
+        this.backend.restore(migrated);
+        console.error(chalk.gray(
+          `Upgraded ${this.backend.describe()} to schema v${SCHEMA_VERSION}; the previous version was backed up to ${backupFile}`
+        ));
+      });
+    }
+
+    this.schemaChecked = true;
+  }
+
+  // Run a read-modify-write cycle while holding the library lock
+  transaction(fn) {
+    return this.lock.run(fn);
+  }
+
+  // Run a backend operation, initializing a missing library and
+  // recovering from an unreadable one
+  access(fn) {
     try {
-      return fs.readJsonSync(getPromptsFile());
+      this.ensureSchema();
+      return fn();
     } catch (error) {
-      console.error('Error reading prompts file:', error.message);
-      this.initializeStorage();
-      return fs.readJsonSync(getPromptsFile());
+      if (error.code === 'ENOENT') {
+        this.transaction(() => {
+          if (!this.backend.exists()) {
+            this.initializeStorage();
+          }
+        });
+        return fn();
+      }
+      if (error instanceof SyntaxError) {
+        this.recover(error);
+        return fn();
+      }
+      throw error;
     }
   }
 
-  // Write all data
+  // Read all data
+  read() {
+    return this.access(() => this.backend.snapshot());
+  }
+
+  // Write all data, upgrading it to the current schema first
   write(data) {
-    // Create backup before writing
-    this.createBackup();
-    fs.writeJsonSync(getPromptsFile(), data, { spaces: 2 });
+    this.transaction(() => {
+      const { data: migrated } = migrateLibrary(data);
+      this.backupBeforeWrite();
+      this.backend.restore(migrated);
+    });
+  }
+
+  // Every change to the library goes through here first
+  backupBeforeWrite() {
+    this.changed = true;
+    if (config.get('backup.autoBackup', true)) {
+      this.createBackup();
+    }
+  }
+
+  // Recover from an unreadable library: move it aside and fall back to
+  // the newest valid backup, or to an empty library if there is none
+  recover(error) {
+    this.transaction(() => {
+      // Another process may have recovered while we waited for the lock
+      try {
+        this.backend.snapshot();
+        return;
+      } catch {
+        // Still unreadable
+      }
+
+      const backups = this.listBackups();
+      const backup = backups.find(b => b.valid);
+      if (!backup && backups.some(b => b.locked)) {
+        // Leave everything in place rather than start over with the wrong passphrase
+        throw new Error(`${this.backend.describe()} is unreadable and its encrypted backups could not be decrypted: ${error.message}`);
+      }
+
+      const quarantined = this.backend.quarantine();
+
+      console.error(chalk.red('Error reading prompts file:'), error.message);
+      if (quarantined) {
+        console.error(chalk.yellow(`  The unreadable file was moved to ${quarantined}`));
+      }
+
+      if (backup) {
+        this.initializeStorage();
+        this.backend.restore(migrateLibrary(readLibraryFile(backup.path)).data);
+        console.error(chalk.yellow(`  Restored the newest valid backup ${backup.id} (${backup.promptCount} prompt(s))`));
+        console.error(chalk.gray('  Run `cuecli backup list` to pick a different backup'));
+      } else {
+        this.initializeStorage();
+        console.error(chalk.yellow('  No valid backup found; started an empty library'));
+      }
+    });
   }
 
   // Get all prompts
   getAllPrompts() {
-    const data = this.read();
-    return data.prompts || {};
+    return this.access(() => this.backend.list());
   }
 
   // Get a specific prompt
   getPrompt(name) {
-    const prompts = this.getAllPrompts();
-    return prompts[name] || null;
+    return this.access(() => this.backend.get(name));
   }
 
-  // Add or update a prompt
-  setPrompt(name, promptData) {
-    const data = this.read();
-    const now = new Date().toISOString();
-    
-    if (!data.prompts) {
-      data.prompts = {};
+  // Add or update a prompt. With `mergedFrom`, the data merges the current
+  // version with that one, which is recorded in the history before it.
+  setPrompt(name, promptData, options = {}) {
+    return this.transaction(() => {
+      const now = new Date().toISOString();
+
+      // Check if prompt exists to determine version
+      const existingPrompt = this.getPrompt(name);
+      let version = existingPrompt ? (existingPrompt.version || 0) + 1 : 1;
+
+      // Keep every previous revision so it can be diffed or reverted later
+      const history = existingPrompt
+        ? [...(existingPrompt.history || []), this.createRevision(existingPrompt)]
+        : [];
+      if (existingPrompt && options.mergedFrom) {
+        history.push({ ...this.createRevision(options.mergedFrom), version: version++ });
+      }
+
+      const record = {
+        ...promptData,
+        name,
+        created: isIsoDate(existingPrompt?.created) ? existingPrompt.created : now,
+        modified: now,
+        version,
+        revision: revisionId(promptData),
+        history
+      };
+      // Ancestry travels with exports; here the history records it
+      delete record.ancestors;
+
+      const problems = validatePrompt(name, record);
+      if (problems.length > 0) {
+        throw new Error(`Invalid prompt '${name}': ${formatProblems(problems)}. Run \`cuecli doctor --fix\` to repair stored prompts`);
+      }
+
+      this.backupBeforeWrite();
+      return this.backend.set(name, record);
+    });
+  }
+
+  // Snapshot the revisioned fields of a prompt
+  createRevision(prompt) {
+    return createRevision(prompt);
+  }
+
+  // Get all revisions of a prompt, oldest first, ending with the current one
+  getHistory(name) {
+    const prompt = this.getPrompt(name);
+    if (!prompt) {
+      return null;
     }
+    // Revisions saved before ids were recorded get theirs from their content
+    return [...(prompt.history || []), this.createRevision(prompt)]
+      .map(revision => (revision.revision ? revision : { ...revision, revision: revisionId(revision) }));
+  }
 
-    // Check if prompt exists to determine version
-    const existingPrompt = data.prompts[name];
-    const version = existingPrompt ? (existingPrompt.version || 0) + 1 : 1;
+  // Get a single revision of a prompt
+  getRevision(name, version) {
+    const history = this.getHistory(name);
+    if (!history) {
+      return null;
+    }
+    return history.find(revision => revision.version === Number(version)) || null;
+  }
 
-    data.prompts[name] = {
-      ...promptData,
-      name,
-      created: existingPrompt?.created || now,
-      modified: now,
-      version
-    };
+  // Restore an earlier revision as a new version
+  revertPrompt(name, version) {
+    return this.transaction(() => {
+      const prompt = this.getPrompt(name);
+      const revision = this.getRevision(name, version);
+      if (!prompt || !revision) {
+        return null;
+      }
 
-    this.write(data);
-    return data.prompts[name];
+      return this.setPrompt(name, {
+        ...prompt,
+        content: revision.content,
+        description: revision.description,
+        tags: revision.tags,
+        variables: revision.variables,
+        declarations: revision.declarations,
+        interpreter: revision.interpreter,
+        sandbox: revision.sandbox
+      });
+    });
   }
 
-  // Delete a prompt
+  // Move a prompt to the trash
   deletePrompt(name) {
-    const data = this.read();
-    if (data.prompts && data.prompts[name]) {
-      delete data.prompts[name];
-      this.write(data);
-      return true;
+    return this.transaction(() => {
+      const prompt = this.getPrompt(name);
+      if (!prompt) {
+        return false;
+      }
+      this.backupBeforeWrite();
+      return this.trashPrompt(name, prompt);
+    });
+  }
+
+  trashPrompt(name, prompt) {
+    // Trash first, so a crash in between cannot lose the prompt
+    this.writeTrash([{ name, deleted: new Date().toISOString(), prompt }, ...this.readTrash()]);
+    return this.backend.delete(name);
+  }
+
+  /**
+   * Copy prompts to new names, keeping their version, dates, tags,
+   * description and history. `pairs` is a list of [from, to]; with `move`
+   * the originals are removed. Existing prompts at a target are only
+   * replaced with `force`, and then go to the trash. Everything is checked
+   * before anything is written.
+   */
+  copyPrompts(pairs, options = {}) {
+    return this.transaction(() => {
+      const sources = new Set(pairs.map(([from]) => from));
+      const prompts = pairs.map(([from, to]) => {
+        if (from === to) {
+          throw new Error(`'${from}' and '${to}' are the same prompt`);
+        }
+        if (options.move && sources.has(to)) {
+          throw new Error(`Cannot move '${from}' to '${to}': '${to}' is being moved too`);
+        }
+
+        const prompt = this.getPrompt(from);
+        if (!prompt) {
+          throw new Error(`Prompt '${from}' not found`);
+        }
+        if (!options.force && this.promptExists(to)) {
+          throw new Error(`A prompt named '${to}' already exists. Use --force to overwrite it`);
+        }
+        return prompt;
+      });
+
+      this.backupBeforeWrite();
+      return pairs.map(([from, to], i) => {
+        const existing = this.getPrompt(to);
+        if (existing) {
+          this.trashPrompt(to, existing);
+        }
+
+        const record = this.backend.set(to, { ...prompts[i], name: to });
+        if (options.move) {
+          this.backend.delete(from);
+        }
+        return record;
+      });
+    });
+  }
+
+  copyPrompt(from, to, options = {}) {
+    return this.copyPrompts([[from, to]], options)[0];
+  }
+
+  movePrompt(from, to, options = {}) {
+    return this.copyPrompts([[from, to]], { ...options, move: true })[0];
+  }
+
+  // Trashed prompts, newest first: [{ name, deleted, prompt }]
+  readTrash() {
+    try {
+      return readLibraryFile(this.getTrashFile()).entries || [];
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
     }
-    return false;
   }
 
-  // Get config
-  getConfig() {
-    const data = this.read();
-    return data.config || {};
+  writeTrash(entries) {
+    const data = { entries };
+    writeFileAtomicSync(
+      this.getTrashFile(),
+      this.backend.encrypted ? this.backend.encode(data) : JSON.stringify(data, null, 2) + '\n'
+    );
   }
 
-  // Update config
-  updateConfig(updates) {
-    const data = this.read();
-    data.config = {
-      ...data.config,
-      ...updates
-    };
-    this.write(data);
-    return data.config;
+  // Variable values last used with each prompt: { name: { VARIABLE: value } }
+  readLastUsed() {
+    try {
+      return readLibraryFile(this.getLastUsedFile()).prompts || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  // Remember the values of a prompt's variables for next time
+  rememberValues(name, values) {
+    return this.transaction(() => {
+      const prompts = this.readLastUsed();
+      prompts[name] = { ...prompts[name], ...values };
+      this.writeLastUsed(prompts);
+    });
+  }
+
+  writeLastUsed(prompts) {
+    const data = { prompts };
+    writeFileAtomicSync(
+      this.getLastUsedFile(),
+      this.backend.encrypted ? this.backend.encode(data) : JSON.stringify(data, null, 2) + '\n'
+    );
+  }
+
+  // Restore the most recently trashed prompt called `name`, optionally
+  // under another name. Refuses to replace a live prompt.
+  restoreFromTrash(name, options = {}) {
+    return this.transaction(() => {
+      const entries = this.readTrash();
+      const index = entries.findIndex(entry => entry.name === name);
+      if (index === -1) {
+        throw new Error(`'${name}' is not in the trash`);
+      }
+
+      const target = options.as || name;
+      if (this.promptExists(target)) {
+        throw new Error(options.as
+          ? `A prompt named '${target}' already exists`
+          : `A prompt named '${name}' already exists. Use --as <new-name> to restore it under another name`);
+      }
+
+      this.backupBeforeWrite();
+      const record = { ...entries[index].prompt, name: target };
+      this.backend.set(target, record);
+      this.writeTrash(entries.filter((_, i) => i !== index));
+      return record;
+    });
+  }
+
+  // Permanently remove trashed prompts deleted before `before` (a Date),
+  // or all of them. Returns the removed entries.
+  emptyTrash(before = null) {
+    return this.transaction(() => {
+      const entries = this.readTrash();
+      const expired = entry => !before || new Date(entry.deleted) < before;
+      const removed = entries.filter(expired);
+      if (removed.length > 0) {
+        this.writeTrash(entries.filter(entry => !expired(entry)));
+      }
+      return removed;
+    });
   }
 
-  // Create backup
-  createBackup() {
+  // Invalid prompt records: [{ name, problems }]
+  checkPrompts() {
+    return Object.entries(this.getAllPrompts())
+      .map(([name, record]) => ({ name, problems: validatePrompt(name, record) }))
+      .filter(result => result.problems.length > 0);
+  }
+
+  // Repair every invalid prompt record in place, without creating new versions
+  repairPrompts() {
+    return this.transaction(() => {
+      const invalid = this.checkPrompts();
+      if (invalid.length === 0) {
+        return [];
+      }
+
+      this.backupBeforeWrite();
+      for (const { name } of invalid) {
+        this.backend.set(name, repairPrompt(name, this.backend.get(name)));
+      }
+      return invalid;
+    });
+  }
+
+  getSchemaVersion() {
+    return getSchemaVersion(this.access(() => this.backend.readMeta()));
+  }
+
+  // Create backup, returns the backup file path or null when skipped.
+  // `force` backs up even when backups are disabled.
+  createBackup(options = {}) {
+    if (!options.force && !config.get('backup.enabled', true)) {
+      return null;
+    }
+
     try {
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const backupFile = path.join(getBackupDir(), `prompts-${timestamp}.json`);
-      fs.copySync(getPromptsFile(), backupFile);
+      const backupFile = path.join(this.getBackupDir(), `prompts-${timestamp}.json`);
+      this.backend.writeSnapshot(backupFile);
       
-      // Keep only last 10 backups
+      // Keep only the configured number of backups
       this.cleanupBackups();
+      return backupFile;
     } catch (error) {
       console.warn('Failed to create backup:', error.message);
+      return null;
     }
   }
 
   // Cleanup old backups
   cleanupBackups() {
     try {
-      const files = fs.readdirSync(getBackupDir())
-        .filter(f => f.startsWith('prompts-') && f.endsWith('.json'))
-        .map(f => ({
-          name: f,
-          path: path.join(getBackupDir(), f),
-          time: fs.statSync(path.join(getBackupDir(), f)).mtime
-        }))
-        .sort((a, b) => b.time - a.time);
-
-      // Keep only the 10 most recent backups
-      files.slice(10).forEach(file => {
+      const maxBackups = Math.max(1, Number(config.get('backup.maxBackups', 10)) || 10);
+      const files = this.getBackupFiles();
+
+      // Keep only the most recent backups
+      files.slice(maxBackups).forEach(file => {
         fs.removeSync(file.path);
       });
     } catch (error) {
@@ -152,26 +505,187 @@ export class LocalStorage {
     }
   }
 
+  // Backup files, newest first
+  getBackupFiles() {
+    return fs.readdirSync(this.getBackupDir())
+      .filter(f => f.startsWith('prompts-') && f.endsWith('.json'))
+      .map(f => ({
+        name: f,
+        path: path.join(this.getBackupDir(), f),
+        time: fs.statSync(path.join(this.getBackupDir(), f)).mtime
+      }))
+      .sort((a, b) => b.time - a.time || b.name.localeCompare(a.name));
+  }
+
+  // List backups with their prompt counts, newest first
+  listBackups() {
+    return this.getBackupFiles().map((file, index) => {
+      const backup = {
+        id: file.name.replace(/\.json$/, ''),
+        index: index + 1,
+        file: file.name,
+        path: file.path,
+        created: file.time,
+        size: fs.statSync(file.path).size,
+        promptCount: null,
+        valid: false,
+        locked: false
+      };
+
+      try {
+        const data = readLibraryFile(file.path);
+        backup.promptCount = Object.keys(data.prompts || {}).length;
+        backup.valid = true;
+      } catch (error) {
+        // Unreadable backups are still listed so they can be inspected
+        backup.locked = error.code === 'EPASSPHRASE';
+      }
+
+      return backup;
+    });
+  }
+
+  // Find a backup by list index (1 = newest), id or file name
+  findBackup(ref) {
+    const backups = this.listBackups();
+    const value = String(ref);
+
+    if (/^\d+$/.test(value)) {
+      return backups[Number(value) - 1] || null;
+    }
+    return backups.find(b => b.id === value || b.file === value) || null;
+  }
+
+  // Read the full contents of a backup
+  readBackup(ref) {
+    const backup = this.findBackup(ref);
+    if (!backup) {
+      return null;
+    }
+    return readLibraryFile(backup.path);
+  }
+
+  // Restore a backup, either the whole library or only the named prompts
+  restoreBackup(ref, names = null) {
+    return this.transaction(() => {
+      const data = this.readBackup(ref);
+      if (!data) {
+        throw new Error(`Backup '${ref}' not found`);
+      }
+
+      const backupPrompts = data.prompts || {};
+
+      if (!names || names.length === 0) {
+        // Whole-file restore; write() backs up the current library first
+        this.write({ ...data, prompts: backupPrompts });
+        return Object.keys(backupPrompts);
+      }
+
+      const missing = names.filter(name => !backupPrompts[name]);
+      if (missing.length > 0) {
+        throw new Error(`Not in backup: ${missing.join(', ')}`);
+      }
+
+      // Selected prompts are saved as new versions so the restore shows up in history
+      for (const name of names) {
+        this.setPrompt(name, backupPrompts[name]);
+      }
+      return names;
+    });
+  }
+
+  // Rewrite backups, the trash and last-used values to match the backend:
+  // encrypted for an encrypted library, plaintext otherwise. Returns how
+  // many backups were converted.
+  convertBackups() {
+    const encrypted = this.backend.encrypted;
+    let converted = 0;
+
+    if (fs.existsSync(this.getTrashFile())) {
+      this.writeTrash(readLibraryFile(this.getTrashFile()).entries || []);
+    }
+    if (fs.existsSync(this.getLastUsedFile())) {
+      this.writeLastUsed(this.readLastUsed());
+    }
+
+    for (const file of this.getBackupFiles()) {
+      let content;
+      try {
+        if (isEncrypted(fs.readJsonSync(file.path)) === encrypted) continue;
+        const data = readLibraryFile(file.path);
+        content = encrypted ? this.backend.encode(data) : JSON.stringify(data, null, 2) + '\n';
+      } catch {
+        // Leave unreadable backups as they are
+        continue;
+      }
+
+      // Keep the modification time; backups are ordered by it
+      writeFileAtomicSync(file.path, content);
+      fs.utimesSync(file.path, file.time, file.time);
+      converted++;
+    }
+
+    return converted;
+  }
+
   // Check if prompt exists
   promptExists(name) {
-    const prompts = this.getAllPrompts();
-    return name in prompts;
+    return this.access(() => this.backend.has(name));
+  }
+
+  // Names of all prompts, without reading them
+  getPromptNames() {
+    return this.access(() => this.backend.names());
+  }
+
+  // Prompts matching { tags, prefix }; see StorageBackend#query
+  queryPrompts(criteria = {}) {
+    return this.access(() => this.backend.query(criteria));
   }
 
   // Filter prompts by tags
   getPromptsByTags(tags) {
-    const prompts = this.getAllPrompts();
     if (!tags || tags.length === 0) {
-      return prompts;
+      return this.getAllPrompts();
     }
+    return this.queryPrompts({ tags });
+  }
 
-    const filtered = {};
-    for (const [name, prompt] of Object.entries(prompts)) {
-      if (prompt.tags && prompt.tags.some(tag => tags.includes(tag))) {
-        filtered[name] = prompt;
+  // Move the library to another storage backend in the same directory
+  migrate(type) {
+    return this.transaction(() => {
+      const source = this.backend;
+      if (source.type === type) {
+        throw new Error(`Library already uses the ${type} backend`);
       }
-    }
-    return filtered;
+
+      const target = createBackend(type, this.dir);
+      if (target.exists() && Object.keys(target.list()).length > 0) {
+        throw new Error(`A ${type} library already exists at ${target.describe()}`);
+      }
+
+      // Keep a copy of everything before touching either side
+      const data = this.read();
+      const backupFile = this.createBackup({ force: true });
+      if (!backupFile) {
+        throw new Error(`Could not back up ${source.describe()} before moving it to the ${type} backend`);
+      }
+
+      target.init({});
+      target.restore(data);
+
+      const copied = Object.keys(target.list()).length;
+      const expected = Object.keys(data.prompts || {}).length;
+      if (copied !== expected) {
+        target.clear();
+        throw new Error(`Migration copied ${copied} of ${expected} prompt(s); the library was left unchanged`);
+      }
+
+      source.clear();
+      this.backend = target;
+      const backups = this.convertBackups();
+      return { from: source.type, to: target.type, count: copied, backupFile, backups };
+    });
   }
 }
 
@@ -0,0 +1,166 @@
+import fs from 'fs-extra';
+
+const sleepBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+// Block the current thread; storage operations are synchronous
+function sleepSync(ms) {
+  Atomics.wait(sleepBuffer, 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Advisory lock backed by an exclusively created lock file.
+ * The lock is reentrant within a process, so a locked operation can call
+ * other locked operations. Locks left behind by dead processes are broken
+ * automatically; a live holder keeps its lock however long it takes. Only
+ * lock files naming no other process (half-written, or left by an earlier
+ * process with our pid) are broken once older than `staleMs`.
+ */
+export class FileLock {
+  constructor(lockPath, options = {}) {
+    this.lockPath = lockPath;
+    this.timeoutMs = options.timeoutMs ?? 10000;
+    this.staleMs = options.staleMs ?? 30000;
+    this.retryMs = options.retryMs ?? 50;
+    this.depth = 0;
+    this.releaseOnExit = () => this.forceRelease();
+  }
+
+  acquire() {
+    if (this.depth > 0) {
+      this.depth++;
+      return;
+    }
+
+    const deadline = Date.now() + this.timeoutMs;
+
+    for (;;) {
+      try {
+        const fd = fs.openSync(this.lockPath, 'wx');
+        fs.writeSync(fd, JSON.stringify({ pid: process.pid, acquired: new Date().toISOString() }));
+        fs.closeSync(fd);
+        this.depth = 1;
+        process.once('exit', this.releaseOnExit);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      if (this.isStale()) {
+        this.breakStale();
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        const holder = this.readHolder();
+        const owner = holder?.pid ? ` (held by process ${holder.pid})` : '';
+        throw new Error(`Timed out waiting for lock ${this.lockPath}${owner}`);
+      }
+
+      sleepSync(this.retryMs);
+    }
+  }
+
+  release() {
+    if (this.depth === 0) {
+      return;
+    }
+    this.depth--;
+    if (this.depth === 0) {
+      this.forceRelease();
+    }
+  }
+
+  forceRelease() {
+    this.depth = 0;
+    process.removeListener('exit', this.releaseOnExit);
+    try {
+      const holder = this.readHolder();
+      if (!holder || holder.pid === process.pid) {
+        fs.removeSync(this.lockPath);
+      }
+    } catch {
+      // Nothing to release
+    }
+  }
+
+  // Run fn while holding the lock
+  run(fn) {
+    this.acquire();
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  }
+
+  isStale() {
+    try {
+      const holder = this.readHolder();
+      if (holder?.pid && holder.pid !== process.pid) {
+        return !isProcessAlive(holder.pid);
+      }
+      const age = Date.now() - fs.statSync(this.lockPath).mtimeMs;
+      return age > this.staleMs;
+    } catch {
+      // The holder released the lock between our checks
+      return false;
+    }
+  }
+
+  /**
+   * Remove a stale lock file. Waiters take turns through an exclusively
+   * created guard file and check again under it, so one cannot remove the
+   * lock another has just taken in place of the stale one; the new lock is
+   * then taken with an exclusive open like any other.
+   */
+  breakStale() {
+    const guard = `${this.lockPath.replace(/\.lock$/, '')}.break.lock`;
+    let fd;
+    try {
+      fd = fs.openSync(guard, 'wx');
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+      // Another waiter is breaking it; a guard this old was left by a crash
+      try {
+        if (Date.now() - fs.statSync(guard).mtimeMs > this.staleMs) {
+          fs.removeSync(guard);
+        }
+      } catch {
+        // Removed meanwhile
+      }
+      return;
+    }
+
+    try {
+      fs.closeSync(fd);
+      if (this.isStale()) {
+        fs.removeSync(this.lockPath);
+      }
+    } finally {
+      fs.removeSync(guard);
+    }
+  }
+
+  readHolder() {
+    try {
+      return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+}
+
+export default FileLock;
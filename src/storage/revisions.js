@@ -0,0 +1,209 @@
+import crypto from 'crypto';
+import { merge3 } from '../utils/diff.js';
+
+// Record fields that are bookkeeping rather than part of the prompt itself
+const BOOKKEEPING_FIELDS = ['name', 'version', 'created', 'modified', 'history', 'revision', 'ancestors'];
+
+/**
+ * Revision ids identify a version of a prompt by its content, description,
+ * tags, variables, variable declarations, interpreter and sandbox flag.
+ * Being derived from the content, the same version has the same id in
+ * every library, including versions saved before ids were recorded.
+ */
+export function revisionId(prompt) {
+  const fields = [
+    prompt.content || '',
+    prompt.description || '',
+    prompt.tags || [],
+    prompt.variables || []
+  ];
+  // Versions without declarations, an interpreter or the sandbox flag keep
+  // the ids they had before those existed
+  const declarations = prompt.declarations && Object.keys(prompt.declarations).length > 0
+    ? prompt.declarations
+    : null;
+  const execution = {
+    ...(prompt.interpreter && { interpreter: prompt.interpreter }),
+    ...(prompt.sandbox && { sandbox: true })
+  };
+  if (Object.keys(execution).length > 0) {
+    fields.push(declarations || {}, execution);
+  } else if (declarations) {
+    fields.push(declarations);
+  }
+  const key = JSON.stringify(fields);
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+// Snapshot the revisioned fields of a prompt
+export function createRevision(prompt) {
+  return {
+    version: prompt.version || 1,
+    revision: revisionId(prompt),
+    content: prompt.content || '',
+    description: prompt.description,
+    tags: prompt.tags || [],
+    variables: prompt.variables || [],
+    declarations: prompt.declarations,
+    interpreter: prompt.interpreter,
+    sandbox: prompt.sandbox,
+    modified: prompt.modified || prompt.created || null
+  };
+}
+
+/**
+ * Revision ids of a prompt, oldest first, ending with the current one.
+ * Exported prompts carry their earlier ids in `ancestors` instead of a
+ * full history.
+ */
+export function getLineage(prompt) {
+  const earlier = prompt.history
+    ? prompt.history.map(revisionId)
+    : prompt.ancestors || [];
+  return [...earlier, revisionId(prompt)];
+}
+
+/**
+ * How two versions of a prompt relate. Returns { status, base }:
+ *
+ *   same      both are at the same revision
+ *   ours      `theirs` is an earlier revision of `ours`
+ *   theirs    `ours` is an earlier revision of `theirs`
+ *   diverged  both changed since `base`, their newest common revision
+ *             from our history (null when they share none)
+ */
+export function compareRevisions(ours, theirs) {
+  const ourLineage = getLineage(ours);
+  const theirLineage = getLineage(theirs);
+  const ourHead = ourLineage[ourLineage.length - 1];
+  const theirHead = theirLineage[theirLineage.length - 1];
+
+  if (ourHead === theirHead) {
+    return { status: 'same', base: null };
+  }
+  if (ourLineage.includes(theirHead)) {
+    return { status: 'ours', base: null };
+  }
+  if (theirLineage.includes(ourHead)) {
+    return { status: 'theirs', base: null };
+  }
+
+  const shared = new Set(theirLineage);
+  const history = ours.history || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (shared.has(ourLineage[i])) {
+      return { status: 'diverged', base: history[i] };
+    }
+  }
+  return { status: 'diverged', base: null };
+}
+
+/**
+ * Three-way merge of the fields of two diverged prompts. Content is merged
+ * line by line, with conflict markers where both sides changed the same
+ * lines; tags and variables merge as sets, and variable declarations one
+ * variable at a time; other fields (description, interpreter, sandbox)
+ * take whichever side changed them. Returns { fields, conflicts } where
+ * conflicts lists the fields both sides changed differently (content then
+ * holds markers, other fields keep our value).
+ */
+export function mergePrompts(base, ours, theirs, labels = {}) {
+  const ancestor = base || {};
+  const fields = {};
+  const conflicts = [];
+
+  const content = merge3(ancestor.content || '', ours.content || '', theirs.content || '', labels);
+  fields.content = content.text;
+  if (content.conflicts > 0) {
+    conflicts.push('content');
+  }
+
+  fields.tags = mergeSets(ancestor.tags, ours.tags, theirs.tags);
+  fields.variables = mergeSets(ancestor.variables, ours.variables, theirs.variables);
+
+  if (ours.declarations || theirs.declarations) {
+    const declarations = mergeMaps(ancestor.declarations, ours.declarations, theirs.declarations);
+    fields.declarations = declarations.map;
+    if (declarations.conflicts > 0) {
+      conflicts.push('declarations');
+    }
+  }
+
+  const keys = new Set([...Object.keys(ours), ...Object.keys(theirs)]);
+  for (const key of keys) {
+    if (key in fields || BOOKKEEPING_FIELDS.includes(key)) {
+      continue;
+    }
+
+    const [a, o, t] = [ancestor[key], ours[key], theirs[key]];
+    if (isEqual(o, t) || isEqual(t, a)) {
+      fields[key] = o;
+    } else if (isEqual(o, a)) {
+      fields[key] = t;
+    } else {
+      fields[key] = o;
+      conflicts.push(key);
+    }
+  }
+
+  return { fields, conflicts };
+}
+
+/**
+ * Merge two full records of the same prompt, as kept in a library. Returns
+ * { status, record, conflicts }, status being one of compareRevisions()'s,
+ * with 'diverged' split into 'merged' and 'conflict'. A merged record
+ * continues our history with their version and then the merge.
+ */
+export function mergeRecords(ours, theirs, labels = {}) {
+  const { status, base } = compareRevisions(ours, theirs);
+  if (status === 'same' || status === 'ours') {
+    return { status, record: ours, conflicts: [] };
+  }
+  if (status === 'theirs') {
+    return { status, record: theirs, conflicts: [] };
+  }
+
+  const { fields, conflicts } = mergePrompts(base, ours, theirs, labels);
+  const next = (ours.version || 1) + 1;
+  const record = {
+    ...ours,
+    ...fields,
+    created: [ours.created, theirs.created].filter(Boolean).sort()[0],
+    modified: new Date().toISOString(),
+    version: next + 1,
+    history: [...(ours.history || []), createRevision(ours), { ...createRevision(theirs), version: next }]
+  };
+  record.revision = revisionId(record);
+
+  return { status: conflicts.length > 0 ? 'conflict' : 'merged', record, conflicts };
+}
+
+// Items added on either side are kept; items removed on either side are dropped
+function mergeSets(base = [], ours = [], theirs = []) {
+  const removed = new Set(base.filter(item => !ours.includes(item) || !theirs.includes(item)));
+  return [...new Set([...ours, ...theirs])].filter(item => !removed.has(item));
+}
+
+// Entries merge like fields: whichever side changed one, ours when both did
+function mergeMaps(base = {}, ours = {}, theirs = {}) {
+  const map = {};
+  let conflicts = 0;
+  for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+    const [a, o, t] = [base[key], ours[key], theirs[key]];
+    let value = o;
+    if (isEqual(o, a) && !isEqual(t, a)) {
+      value = t;
+    } else if (!isEqual(o, t) && !isEqual(t, a)) {
+      conflicts++;
+    }
+    if (value !== undefined) {
+      map[key] = value;
+    }
+  }
+  return { map, conflicts };
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,237 @@
+import config from '../config/config.js';
+import { checkDeclaration } from '../utils/variables.js';
+
+/**
+ * Library schema versions and migrations.
+ *
+ * A library snapshot ({ schemaVersion, ...meta, prompts }) without a
+ * schemaVersion is version 1, the format written before versioning.
+ * Migrations run in order on load; each takes a snapshot at the previous
+ * version and returns one at its own version.
+ */
+export const SCHEMA_VERSION = 2;
+
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Move library settings to config.json and add schemaVersion',
+    migrate(data) {
+      const { config: legacy = {}, ...rest } = data;
+
+      // The old `config` block duplicated config.json with a different shape;
+      // carry over anything that was actually changed from its defaults
+      if (legacy.syncEnabled === true && !config.get('sync.enabled', false)) {
+        config.set('sync.enabled', true);
+      }
+      if (legacy.apiKey && !config.get('sync.apiKey')) {
+        config.set('sync.apiKey', legacy.apiKey);
+      }
+
+      return {
+        ...rest,
+        schemaVersion: 2,
+        created: rest.created || legacy.createdAt || new Date().toISOString(),
+        prompts: rest.prompts || {}
+      };
+    }
+  }
+];
+
+// Schema version of a snapshot or its meta
+export function getSchemaVersion(data) {
+  const version = data && data.schemaVersion;
+  return Number.isInteger(version) && version > 0 ? version : 1;
+}
+
+// Meta for a new, empty library
+export function createLibraryMeta() {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    created: new Date().toISOString()
+  };
+}
+
+/**
+ * Bring a snapshot up to the current schema.
+ * Returns { data, applied } where applied lists the migrations that ran.
+ */
+export function migrateLibrary(data) {
+  const from = getSchemaVersion(data);
+  if (from > SCHEMA_VERSION) {
+    throw new Error(
+      `Library uses schema v${from}, but this version of cuecli only supports up to v${SCHEMA_VERSION}. Please upgrade cuecli`
+    );
+  }
+
+  let migrated = data;
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) {
+      migrated = migration.migrate(migrated);
+      applied.push(migration);
+    }
+  }
+  return { data: migrated, applied };
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+export function isIsoDate(value) {
+  return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Coerce a list-ish value (array or comma-separated string) to unique strings
+function toStringArray(value) {
+  const items = Array.isArray(value)
+    ? value
+    : typeof value === 'string' ? value.split(',') : [];
+  return [...new Set(
+    items
+      .filter(item => typeof item === 'string' || typeof item === 'number')
+      .map(item => String(item).trim())
+      .filter(Boolean)
+  )];
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+function toDate(value, fallback) {
+  const time = typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? fallback : new Date(time).toISOString();
+}
+
+/**
+ * Rules for each field of a prompt record. `check` returns a problem
+ * description or null; `fix` returns the repaired value.
+ */
+const FIELD_RULES = [
+  {
+    field: 'name',
+    check: (value, record, name) => (value !== undefined && value !== name ? `does not match the prompt name '${name}'` : null),
+    fix: (value, record, name) => name
+  },
+  {
+    field: 'content',
+    check: value => (typeof value !== 'string' ? 'must be a string' : null),
+    fix: value => toText(value)
+  },
+  {
+    field: 'description',
+    check: value => (value !== undefined && value !== null && typeof value !== 'string' ? 'must be a string' : null),
+    fix: value => toText(value)
+  },
+  {
+    field: 'tags',
+    check: value => (value !== undefined && !isStringArray(value) ? 'must be an array of strings' : null),
+    fix: value => toStringArray(value)
+  },
+  {
+    field: 'variables',
+    check: value => (value !== undefined && !isStringArray(value) ? 'must be an array of strings' : null),
+    fix: value => toStringArray(value)
+  },
+  {
+    field: 'interpreter',
+    check: value => (value !== undefined && (typeof value !== 'string' || !value.trim()) ? 'must be a command line' : null),
+    fix: value => (typeof value === 'string' && value.trim() ? value : undefined)
+  },
+  {
+    field: 'sandbox',
+    check: value => (value !== undefined && typeof value !== 'boolean' ? 'must be true or false' : null),
+    fix: value => (value === true || value === 'true' ? true : undefined)
+  },
+  {
+    field: 'declarations',
+    check: value => {
+      if (value === undefined) return null;
+      if (!isPlainObject(value)) return 'must map variable names to declarations';
+      const bad = Object.entries(value).find(([, declaration]) => checkDeclaration(declaration));
+      return bad ? `'${bad[0]}': ${checkDeclaration(bad[1])}` : null;
+    },
+    fix: value => Object.fromEntries(Object.entries(isPlainObject(value) ? value : {})
+      .filter(([, declaration]) => !checkDeclaration(declaration)))
+  },
+  {
+    field: 'version',
+    check: value => (value !== undefined && !(Number.isInteger(value) && value > 0) ? 'must be a positive integer' : null),
+    fix: value => Math.max(1, parseInt(value, 10) || 1)
+  },
+  {
+    field: 'created',
+    check: value => (!isIsoDate(value) ? 'must be an ISO 8601 date' : null),
+    fix: (value, record) => toDate(value, toDate(record.modified, new Date().toISOString()))
+  },
+  {
+    field: 'modified',
+    check: value => (!isIsoDate(value) ? 'must be an ISO 8601 date' : null),
+    fix: (value, record) => toDate(value, toDate(record.created, new Date().toISOString()))
+  },
+  {
+    field: 'history',
+    check: value => {
+      if (value === undefined) return null;
+      if (!Array.isArray(value)) return 'must be an array of revisions';
+      const bad = value.findIndex(revision =>
+        !revision || typeof revision !== 'object' || typeof revision.content !== 'string' || !Number.isInteger(revision.version)
+      );
+      return bad === -1 ? null : `revision ${bad + 1} needs a string content and an integer version`;
+    },
+    fix: value => (Array.isArray(value) ? value : [])
+      .filter(revision => revision && typeof revision === 'object')
+      .map((revision, i) => ({
+        ...revision,
+        version: Number.isInteger(revision.version) ? revision.version : i + 1,
+        content: toText(revision.content)
+      }))
+  }
+];
+
+/**
+ * Problems with a prompt record: [{ field, message }], empty when valid
+ */
+export function validatePrompt(name, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: null, message: 'record must be an object' }];
+  }
+
+  const problems = [];
+  for (const rule of FIELD_RULES) {
+    const message = rule.check(record[rule.field], record, name);
+    if (message) {
+      problems.push({ field: rule.field, message });
+    }
+  }
+  return problems;
+}
+
+/**
+ * A copy of a prompt record with every invalid field repaired
+ */
+export function repairPrompt(name, record) {
+  const repaired = record && typeof record === 'object' && !Array.isArray(record)
+    ? { ...record }
+    : { content: toText(record) };
+
+  for (const rule of FIELD_RULES) {
+    if (rule.check(repaired[rule.field], repaired, name)) {
+      repaired[rule.field] = rule.fix(repaired[rule.field], repaired, name);
+    }
+  }
+  return repaired;
+}
+
+export function formatProblems(problems) {
+  return problems.map(p => (p.field ? `${p.field} ${p.message}` : p.message)).join('; ');
+}
@@ -0,0 +1,340 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomicSync } from '../storage/atomic.js';
+import { encodeName, decodeName } from '../storage/backends/markdown.js';
+import { encrypt, decrypt, isEncrypted } from '../storage/encryption.js';
+import { mergeRecords } from '../storage/revisions.js';
+
+const PROMPTS_DIR = 'prompts';
+
+// `git status --porcelain` codes for unmerged paths
+const CONFLICT_REASONS = {
+  UU: 'changed on both sides',
+  AA: 'added on both sides with different content',
+  DU: 'deleted here, changed on the remote',
+  UD: 'changed here, deleted on the remote'
+};
+
+/**
+ * Sync a library through a git repository.
+ *
+ * A local clone in `dir` holds one JSON file per prompt under prompts/
+ * (slashes in names become subdirectories). Its last commit is the state
+ * both sides agreed on at the previous sync, so git can tell which side
+ * changed a prompt. Any remote git accepts works, including a path to a
+ * bare repository.
+ *
+ * Records of an encrypted library are stored encrypted; a file is only
+ * rewritten when its decrypted content changed.
+ */
+export class GitSync {
+  constructor(options = {}) {
+    this.url = options.url;
+    this.branch = options.branch || 'main';
+    this.dir = options.dir;
+    this.encrypted = Boolean(options.encrypted);
+  }
+
+  static get type() {
+    return 'git';
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  get remoteRef() {
+    return `refs/remotes/origin/${this.branch}`;
+  }
+
+  describe() {
+    return `${this.url} (${this.branch})`;
+  }
+
+  // Fetch the remote branch; false when it does not exist yet
+  fetch() {
+    this.ensureRepo();
+    if (!this.git(['ls-remote', '--heads', 'origin', this.branch])) {
+      return false;
+    }
+    this.git(['fetch', '-q', 'origin', `+refs/heads/${this.branch}:${this.remoteRef}`]);
+    return true;
+  }
+
+  /**
+   * Commit the local prompts and merge the fetched remote branch into them.
+   * Prompts changed on both sides are merged against their common revision
+   * (see mergeRecords). Returns { prompts, merged, conflicts }: the merged
+   * prompts and the names of those merged that way, or, when some could
+   * not be merged, prompts: null and the conflicts:
+   *
+   *   [{ name, reason, fields, ours, theirs, merged }]
+   *
+   * with both records (null when deleted on that side) and the merge with
+   * conflict markers. The merge then stays in progress until resolve() or
+   * abort().
+   */
+  merge(prompts) {
+    this.ensureRepo();
+    this.exportPrompts(prompts);
+    this.commit(`Update prompts from ${os.hostname()}`);
+
+    if (!this.hasRef(this.remoteRef)) {
+      return { prompts: this.readPrompts(), merged: [], conflicts: [] };
+    }
+
+    const result = this.run([
+      'merge', '-q', '--no-edit', '--allow-unrelated-histories',
+      '-m', `Merge prompts from ${this.describe()}`,
+      this.remoteRef
+    ]);
+    if (result.status === 0) {
+      return { prompts: this.readPrompts(), merged: [], conflicts: [] };
+    }
+
+    const unmerged = this.listConflicts();
+    if (unmerged.length === 0) {
+      this.run(['merge', '--abort']);
+      throw new Error(`git merge failed: ${output(result)}`);
+    }
+
+    const merged = [];
+    const conflicts = [];
+    for (const entry of unmerged) {
+      const ours = this.readStage(2, entry.file);
+      const theirs = this.readStage(3, entry.file);
+      if (!ours || !theirs) {
+        conflicts.push({ ...entry, fields: [], ours, theirs, merged: null });
+        continue;
+      }
+
+      const outcome = mergeRecords(ours, theirs, { ours: 'local', theirs: 'remote' });
+      if (outcome.status === 'conflict') {
+        conflicts.push({ ...entry, fields: outcome.conflicts, ours, theirs, merged: outcome.record });
+      } else {
+        this.writePrompt(path.join(this.dir, entry.file), outcome.record);
+        this.git(['add', '--', entry.file]);
+        merged.push(entry.name);
+      }
+    }
+
+    if (conflicts.length > 0) {
+      return { prompts: null, merged, conflicts };
+    }
+    this.git(['commit', '-q', '--no-edit']);
+    return { prompts: this.readPrompts(), merged, conflicts: [] };
+  }
+
+  /**
+   * Finish a merge that stopped on conflicts. `records` maps each
+   * conflicting prompt name to the record to keep, or null to delete it.
+   * Returns the merged prompts.
+   */
+  resolve(records) {
+    for (const { name, file } of this.listConflicts()) {
+      if (!records.has(name)) {
+        throw new Error(`No resolution for '${name}'`);
+      }
+
+      const record = records.get(name);
+      if (record) {
+        this.writePrompt(path.join(this.dir, file), record);
+        this.git(['add', '--', file]);
+      } else {
+        this.git(['rm', '-q', '--', file]);
+      }
+    }
+    this.git(['commit', '-q', '--no-edit']);
+    return this.readPrompts();
+  }
+
+  // Give up on a merge that stopped on conflicts
+  abort() {
+    this.run(['merge', '--abort']);
+  }
+
+  // Push merged commits; returns how many prompts the remote now has changed
+  push() {
+    if (!this.hasRef('HEAD')) {
+      return 0;
+    }
+
+    const hasRemote = this.hasRef(this.remoteRef);
+    const ahead = Number(this.git(['rev-list', '--count', hasRemote ? `${this.remoteRef}..HEAD` : 'HEAD']));
+    if (ahead === 0) {
+      return 0;
+    }
+    const changed = hasRemote
+      ? this.git(['diff', '--name-only', this.remoteRef, 'HEAD', '--', PROMPTS_DIR])
+      : this.git(['ls-files', '--', PROMPTS_DIR]);
+
+    const result = this.run(['push', '-q', 'origin', `HEAD:refs/heads/${this.branch}`]);
+    if (result.status !== 0) {
+      if (/rejected|non-fast-forward|fetch first/.test(output(result))) {
+        throw new Error('The remote changed while syncing. Run `cuecli sync` again');
+      }
+      throw new Error(`git push failed: ${output(result)}`);
+    }
+    return changed.split('\n').filter(Boolean).length;
+  }
+
+  ensureRepo() {
+    if (!fs.existsSync(path.join(this.dir, '.git'))) {
+      fs.ensureDirSync(this.dir);
+      this.git(['init', '-q']);
+      this.git(['symbolic-ref', 'HEAD', `refs/heads/${this.branch}`]);
+      this.git(['remote', 'add', 'origin', this.url]);
+    } else if (this.run(['remote', 'get-url', 'origin']).stdout.trim() !== this.url) {
+      this.run(['remote', 'remove', 'origin']);
+      this.git(['remote', 'add', 'origin', this.url]);
+    }
+
+    // Commits need an identity; fall back to one for this machine
+    if (this.run(['config', 'user.email']).status !== 0) {
+      this.git(['config', 'user.name', 'cuecli']);
+      this.git(['config', 'user.email', `cuecli@${os.hostname()}`]);
+    }
+  }
+
+  // Mirror the prompts into the working tree
+  exportPrompts(prompts) {
+    const wanted = new Set();
+
+    for (const [name, record] of Object.entries(prompts)) {
+      const file = this.promptFile(name);
+      wanted.add(file);
+      this.writePrompt(file, record);
+    }
+
+    for (const file of this.trackedFiles()) {
+      if (!wanted.has(file)) {
+        fs.removeSync(file);
+      }
+    }
+  }
+
+  // Write a record unless the file already holds it in the right form
+  writePrompt(file, record) {
+    const text = JSON.stringify(record, null, 2) + '\n';
+    const current = this.readFile(file);
+    if (current?.text !== text || current.encrypted !== this.encrypted) {
+      fs.ensureDirSync(path.dirname(file));
+      writeFileAtomicSync(file, this.encrypted ? JSON.stringify(encrypt(text), null, 2) + '\n' : text);
+    }
+  }
+
+  // A record from a stage of a conflicted file: 1 base, 2 ours, 3 theirs
+  readStage(stage, file) {
+    const result = this.run(['show', `:${stage}:${file}`]);
+    return result.status === 0 ? JSON.parse(decodeFile(result.stdout).text) : null;
+  }
+
+  // Prompts in the working tree, keyed by name
+  readPrompts() {
+    const prompts = {};
+    for (const file of this.trackedFiles()) {
+      const name = this.nameFromFile(file);
+      try {
+        prompts[name] = { ...JSON.parse(this.readFile(file).text), name };
+      } catch (error) {
+        throw new Error(`Could not read '${name}' from the sync repository: ${error.message}`);
+      }
+    }
+    return prompts;
+  }
+
+  // Commit all changes; false when there was nothing to commit
+  commit(message) {
+    this.git(['add', '-A', '.']);
+    if (this.run(['diff', '--cached', '--quiet']).status === 0) {
+      return false;
+    }
+    this.git(['commit', '-q', '-m', message]);
+    return true;
+  }
+
+  listConflicts() {
+    return this.git(['status', '--porcelain', '--', PROMPTS_DIR])
+      .split('\n')
+      .map(line => ({ code: line.slice(0, 2), file: line.slice(3) }))
+      .filter(entry => CONFLICT_REASONS[entry.code])
+      .map(({ code, file }) => ({
+        name: this.nameFromFile(path.join(this.dir, file)),
+        file,
+        reason: CONFLICT_REASONS[code]
+      }));
+  }
+
+  trackedFiles() {
+    return this.git(['ls-files', '-z', '--', PROMPTS_DIR])
+      .split('\0')
+      .filter(Boolean)
+      .map(file => path.join(this.dir, file));
+  }
+
+  promptFile(name) {
+    return path.join(this.dir, PROMPTS_DIR, ...encodeName(name)) + '.json';
+  }
+
+  nameFromFile(file) {
+    const relative = path.relative(path.join(this.dir, PROMPTS_DIR), file);
+    return decodeName(relative.replace(/\.json$/, '').split(path.sep));
+  }
+
+  // { text, encrypted } with the plaintext of a file, or null when missing
+  readFile(file) {
+    try {
+      return decodeFile(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  hasRef(ref) {
+    return this.run(['rev-parse', '--verify', '-q', ref]).status === 0;
+  }
+
+  run(args) {
+    const result = spawnSync('git', args, {
+      cwd: this.dir,
+      encoding: 'utf8',
+      // Never wait for credentials on a terminal we do not own
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    if (result.error) {
+      throw new Error(result.error.code === 'ENOENT' ? 'git is not installed or not on your PATH' : result.error.message);
+    }
+    return result;
+  }
+
+  // Run git and return its output, throwing when it fails
+  git(args) {
+    const result = this.run(args);
+    if (result.status !== 0) {
+      throw new Error(`git ${args[0]} failed: ${output(result)}`);
+    }
+    return result.stdout.replace(/\n$/, '');
+  }
+}
+
+function decodeFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // A damaged file is rewritten on export, or reported by readPrompts()
+    return { text, encrypted: false };
+  }
+  return isEncrypted(data)
+    ? { text: decrypt(data).toString('utf8'), encrypted: true }
+    : { text, encrypted: false };
+}
+
+function output(result) {
+  return (result.stderr || result.stdout || '').trim();
+}
@@ -0,0 +1,243 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { writeFileAtomicSync } from '../storage/atomic.js';
+import { encrypt, decrypt, isEncrypted, readLibraryFile } from '../storage/encryption.js';
+import { mergeRecords } from '../storage/revisions.js';
+
+export const DEFAULT_TOKEN_ENV = 'CUECLI_SYNC_TOKEN';
+
+const LABELS = { ours: 'local', theirs: 'remote' };
+
+/**
+ * Sync a library with a server speaking the cuecli sync protocol (see
+ * server.js and the README).
+ *
+ * What the last sync agreed on is kept in `dir`/state.json: the server
+ * revision it reached, and each prompt's record and ETag as of then. A
+ * prompt differing from that record changed on that side; when both sides
+ * changed it, mergeRecords() merges them. Pushes send the ETag last seen,
+ * so a prompt changed on the server in the meantime is never overwritten.
+ *
+ * Records of an encrypted library are sent encrypted, and the state file
+ * is encrypted too; the server only ever stores opaque JSON.
+ */
+export class HttpSync {
+  constructor(options = {}) {
+    this.url = options.url.replace(/\/+$/, '');
+    this.dir = options.dir;
+    this.encrypted = Boolean(options.encrypted);
+    this.tokenEnv = options.tokenEnv || DEFAULT_TOKEN_ENV;
+    this.state = null;
+    this.changes = null;
+    this.pending = null;
+  }
+
+  static get type() {
+    return 'custom';
+  }
+
+  get type() {
+    return this.constructor.type;
+  }
+
+  describe() {
+    return this.url;
+  }
+
+  // Fetch what changed on the server since the last sync
+  async fetch() {
+    this.state = this.readState();
+    const data = await this.request('GET', `/changes?since=${this.state.revision}`);
+
+    this.revision = data.revision;
+    this.changes = new Map(data.changes.map(change => [change.name, {
+      etag: change.etag,
+      record: change.deleted ? null : this.decode(change.record)
+    }]));
+    return true;
+  }
+
+  /**
+   * Merge the local prompts with the fetched changes. Returns the same
+   * { prompts, merged, conflicts } as GitSync#merge.
+   */
+  merge(prompts) {
+    const names = new Set([...Object.keys(prompts), ...Object.keys(this.state.prompts), ...this.changes.keys()]);
+    this.result = {};
+    this.pending = new Map();
+    const merged = [];
+    const conflicts = [];
+
+    for (const name of [...names].sort()) {
+      const ancestor = this.state.prompts[name]?.record || null;
+      const ours = prompts[name] || null;
+      const theirs = this.remoteRecord(name);
+      const oursChanged = !isEqual(ours, ancestor);
+      const theirsChanged = !isEqual(theirs, ancestor);
+
+      if (!theirsChanged || isEqual(ours, theirs)) {
+        this.keep(name, ours);
+      } else if (!oursChanged) {
+        this.keep(name, theirs);
+      } else if (!ours || !theirs) {
+        conflicts.push({
+          name,
+          reason: ours ? 'changed here, deleted on the remote' : 'deleted here, changed on the remote',
+          fields: [],
+          ours,
+          theirs,
+          merged: null
+        });
+      } else {
+        const outcome = mergeRecords(ours, theirs, LABELS);
+        if (outcome.status === 'conflict') {
+          conflicts.push({ name, reason: 'changed on both sides', fields: outcome.conflicts, ours, theirs, merged: outcome.record });
+        } else {
+          this.keep(name, outcome.record);
+          merged.push(name);
+        }
+      }
+    }
+
+    return conflicts.length > 0
+      ? { prompts: null, merged, conflicts }
+      : { prompts: this.result, merged, conflicts: [] };
+  }
+
+  // Settle conflicts: `records` maps names to the record to keep, or null
+  resolve(records) {
+    for (const [name, record] of records) {
+      this.keep(name, record);
+    }
+    return this.result;
+  }
+
+  abort() {
+    this.pending = null;
+  }
+
+  // Send local changes; returns how many prompts were pushed
+  async push() {
+    const state = { url: this.url, revision: this.revision, prompts: { ...this.state.prompts } };
+    for (const [name, change] of this.changes) {
+      if (change.record) {
+        state.prompts[name] = { etag: change.etag, record: change.record };
+      } else {
+        delete state.prompts[name];
+      }
+    }
+
+    let pushed = 0;
+    try {
+      for (const [name, record] of this.pending) {
+        const etag = state.prompts[name]?.etag;
+        const headers = etag ? { 'If-Match': etag } : { 'If-None-Match': '*' };
+        const pathname = `/prompts/${encodeURIComponent(name)}`;
+
+        if (record) {
+          const data = await this.request('PUT', pathname, { body: this.encode(record), headers });
+          state.prompts[name] = { etag: data.etag, record };
+        } else {
+          await this.request('DELETE', pathname, { headers, allow: [404] });
+          delete state.prompts[name];
+        }
+        pushed++;
+      }
+    } finally {
+      // Keep what did get through, so the next sync starts from there
+      this.writeState(state);
+    }
+    return pushed;
+  }
+
+  // Keep `record` for `name`, and queue it for the server if it differs
+  keep(name, record) {
+    if (record) {
+      this.result[name] = record;
+    } else {
+      delete this.result[name];
+    }
+
+    if (isEqual(record, this.remoteRecord(name))) {
+      this.pending.delete(name);
+    } else {
+      this.pending.set(name, record);
+    }
+  }
+
+  // The server's record of a prompt, as of the fetch
+  remoteRecord(name) {
+    const change = this.changes.get(name);
+    return change ? change.record : this.state.prompts[name]?.record || null;
+  }
+
+  async request(method, pathname, options = {}) {
+    const headers = { Accept: 'application/json', ...options.headers };
+    const token = process.env[this.tokenEnv];
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (options.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url + pathname, {
+        method,
+        headers,
+        body: options.body !== undefined ? JSON.stringify(options.body) : undefined
+      });
+    } catch (error) {
+      throw new Error(`Could not reach the sync server at ${this.url}: ${error.cause?.message || error.message}`);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`The sync server refused access (${response.status}). Check the token in ${this.tokenEnv}`);
+    }
+    if (response.status === 412) {
+      throw new Error('The remote changed while syncing. Run `cuecli sync` again');
+    }
+    if (!response.ok && !(options.allow || []).includes(response.status)) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(`Sync server error ${response.status} on ${method} ${pathname}: ${body.error || response.statusText}`);
+    }
+    return response.status === 204 ? null : response.json().catch(() => null);
+  }
+
+  getStateFile() {
+    return path.join(this.dir, 'state.json');
+  }
+
+  // State of the last sync with this server; a fresh one for another URL
+  readState() {
+    const fresh = { url: this.url, revision: 0, prompts: {} };
+    try {
+      const state = readLibraryFile(this.getStateFile());
+      return state.url === this.url ? state : fresh;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fresh;
+      }
+      throw error;
+    }
+  }
+
+  writeState(state) {
+    fs.ensureDirSync(this.dir);
+    const text = JSON.stringify(state, null, 2) + '\n';
+    writeFileAtomicSync(this.getStateFile(), this.encrypted ? JSON.stringify(encrypt(text), null, 2) + '\n' : text);
+  }
+
+  encode(record) {
+    return this.encrypted ? encrypt(JSON.stringify(record)) : record;
+  }
+
+  decode(payload) {
+    return isEncrypted(payload) ? JSON.parse(decrypt(payload).toString('utf8')) : payload;
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,136 @@
+import path from 'path';
+import config from '../config/config.js';
+import { GitSync } from './git.js';
+import { HttpSync } from './http.js';
+import { createSyncServer } from './server.js';
+
+export { GitSync, HttpSync, createSyncServer };
+
+// github and gitlab are plain git remotes; the name only documents where the url points.
+// custom is a server speaking the cuecli sync protocol, such as `cuecli sync-server`
+export const SYNC_PROVIDERS = {
+  git: GitSync,
+  github: GitSync,
+  gitlab: GitSync,
+  custom: HttpSync
+};
+
+// Sync settings from config, with `overrides` on top
+export function getSyncSettings(overrides = {}) {
+  return { ...config.get('sync', {}), ...overrides };
+}
+
+export function createSyncProvider(settings, options = {}) {
+  if (!settings.url) {
+    throw new Error('No sync remote configured. Run `cuecli sync setup <url>` first');
+  }
+
+  const type = settings.provider || 'git';
+  const Provider = SYNC_PROVIDERS[type];
+  if (!Provider) {
+    throw new Error(`Unknown sync provider '${type}'. Available: ${Object.keys(SYNC_PROVIDERS).join(', ')}`);
+  }
+  return new Provider({ ...settings, ...options });
+}
+
+/**
+ * Sync the global library with its remote: fetch, merge, save the merged
+ * prompts locally, then push. Only merging holds the library lock, so a
+ * slow remote never blocks other cuecli processes.
+ *
+ * Prompts changed on both sides are merged against their common revision.
+ * When that leaves conflicts, each is settled by `options.strategy`
+ * ('ours', 'theirs' or 'markers' to keep the merge with conflict markers)
+ * or by awaiting `options.resolve(conflict)`, which returns one of those.
+ * With neither, nothing is saved or pushed and `conflicts` lists them.
+ *
+ * Returns { added, updated, removed, merged, resolved, conflicts, pushed },
+ * pushed being the number of prompts sent to the remote.
+ * Prompts removed by the remote go to the trash.
+ */
+export async function syncLibrary(library, options = {}) {
+  const store = library.getStore('global');
+  const provider = createSyncProvider(getSyncSettings(options.settings), {
+    dir: path.join(store.dir, 'sync'),
+    encrypted: store.backend.encrypted
+  });
+
+  await provider.fetch();
+
+  let snapshot;
+  const merge = store.transaction(() => {
+    snapshot = store.read();
+    const result = provider.merge(snapshot.prompts || {});
+    return result.conflicts.length > 0 ? result : { ...result, ...applyPrompts(store, snapshot, result.prompts) };
+  });
+
+  let result = { ...merge, resolved: [] };
+  if (merge.conflicts.length > 0) {
+    const choices = await chooseResolutions(merge.conflicts, options);
+    if (!choices) {
+      provider.abort();
+      return { added: [], updated: [], removed: [], merged: merge.merged, resolved: [], conflicts: merge.conflicts, pushed: 0, provider };
+    }
+
+    result = store.transaction(() => {
+      const data = store.read();
+      // The library was not locked while we asked
+      if (JSON.stringify(data.prompts) !== JSON.stringify(snapshot.prompts)) {
+        provider.abort();
+        throw new Error('The library changed while resolving conflicts. Run `cuecli sync` again');
+      }
+
+      const records = new Map(choices.map(({ conflict, record }) => [conflict.name, record]));
+      const prompts = provider.resolve(records);
+      return {
+        ...applyPrompts(store, data, prompts),
+        merged: merge.merged,
+        resolved: choices.map(({ conflict, choice }) => ({ name: conflict.name, choice })),
+        conflicts: []
+      };
+    });
+  }
+
+  result.pushed = await provider.push();
+  result.provider = provider;
+  return result;
+}
+
+// Save merged prompts; those that disappeared go to the trash
+function applyPrompts(store, data, prompts) {
+  const local = data.prompts || {};
+  const changes = comparePrompts(local, prompts);
+  if (changes.added.length + changes.updated.length + changes.removed.length > 0) {
+    for (const name of changes.removed) {
+      store.trashPrompt(name, local[name]);
+    }
+    store.write({ ...data, prompts });
+  }
+  return changes;
+}
+
+// [{ conflict, choice, record }] for every conflict, or null to stop
+async function chooseResolutions(conflicts, options) {
+  if (!options.strategy && !options.resolve) {
+    return null;
+  }
+
+  const choices = [];
+  for (const conflict of conflicts) {
+    const choice = options.strategy || await options.resolve(conflict);
+    const record = choice === 'ours' ? conflict.ours
+      : choice === 'theirs' ? conflict.theirs
+        // A prompt deleted on one side has nothing to merge; keep the changed one
+        : conflict.merged || conflict.ours || conflict.theirs;
+    choices.push({ conflict, choice, record });
+  }
+  return choices;
+}
+
+function comparePrompts(before, after) {
+  return {
+    added: Object.keys(after).filter(name => !before[name]),
+    updated: Object.keys(after).filter(name => before[name] && JSON.stringify(before[name]) !== JSON.stringify(after[name])),
+    removed: Object.keys(before).filter(name => !after[name])
+  };
+}
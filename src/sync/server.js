@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import http from 'http';
+import path from 'path';
+import { writeJsonAtomicSync } from '../storage/atomic.js';
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Reference server for the cuecli sync protocol, as used by HttpSync and
+ * documented in the README. Records are stored as opaque JSON in
+ * `dir`/prompts.json, so encrypted libraries stay encrypted on the server.
+ *
+ * Every change bumps the server revision; deleted prompts are kept as
+ * tombstones so /changes can report them. With a `token`, every request
+ * must carry it as a bearer token.
+ *
+ * Returns a node http.Server; call listen() on it.
+ */
+export function createSyncServer(options = {}) {
+  const store = new SyncStore(options.dir);
+  const token = options.token || null;
+
+  return http.createServer((req, res) => {
+    handleRequest(store, token, req)
+      .then(reply => send(res, reply))
+      .catch(error => send(res, error.status
+        ? { status: error.status, body: { error: error.message } }
+        : { status: 500, body: { error: error.message } }));
+  });
+}
+
+async function handleRequest(store, token, req) {
+  if (token && !isAuthorized(req.headers.authorization, token)) {
+    return { status: 401, headers: { 'WWW-Authenticate': 'Bearer' }, body: { error: 'Missing or invalid bearer token' } };
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  const match = url.pathname.match(/^\/prompts\/(.+)$/);
+
+  if (url.pathname === '/' && req.method === 'GET') {
+    return { status: 200, body: { name: 'cuecli-sync', protocol: 1, revision: store.revision } };
+  }
+
+  if (url.pathname === '/prompts' && req.method === 'GET') {
+    const etag = `"r${store.revision}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return { status: 304, headers: { ETag: etag } };
+    }
+    const prompts = {};
+    for (const [name, entry] of store.live()) {
+      prompts[name] = { etag: entry.etag, revision: entry.revision };
+    }
+    return { status: 200, headers: { ETag: etag }, body: { revision: store.revision, prompts } };
+  }
+
+  if (url.pathname === '/changes' && req.method === 'GET') {
+    const since = Number(url.searchParams.get('since') || 0);
+    if (!Number.isInteger(since) || since < 0) {
+      throw httpError(400, '`since` must be a revision number');
+    }
+    return { status: 200, body: { revision: store.revision, changes: store.changesSince(since) } };
+  }
+
+  if (match) {
+    const name = decodeURIComponent(match[1]);
+    const entry = store.get(name);
+
+    if (req.method === 'GET') {
+      if (!entry) {
+        throw httpError(404, `Prompt '${name}' not found`);
+      }
+      if (req.headers['if-none-match'] === entry.etag) {
+        return { status: 304, headers: { ETag: entry.etag } };
+      }
+      return { status: 200, headers: { ETag: entry.etag }, body: entry.record };
+    }
+
+    if (req.method === 'PUT') {
+      checkPreconditions(req, entry);
+      const record = await readBody(req);
+      const saved = store.put(name, record);
+      return { status: entry ? 200 : 201, headers: { ETag: saved.etag }, body: { name, etag: saved.etag, revision: saved.revision } };
+    }
+
+    if (req.method === 'DELETE') {
+      if (!entry) {
+        throw httpError(404, `Prompt '${name}' not found`);
+      }
+      checkPreconditions(req, entry);
+      return { status: 200, body: { name, revision: store.delete(name) } };
+    }
+  }
+
+  throw httpError(404, `No route for ${req.method} ${url.pathname}`);
+}
+
+/**
+ * Writes must say which version they replace: If-Match with its ETag, or
+ * If-None-Match: * to create a prompt. Anything else would let a client
+ * overwrite changes it never saw.
+ */
+function checkPreconditions(req, entry) {
+  const ifMatch = req.headers['if-match'];
+  const ifNoneMatch = req.headers['if-none-match'];
+
+  if (ifNoneMatch === '*') {
+    if (entry) {
+      throw httpError(412, 'Prompt already exists');
+    }
+  } else if (ifMatch) {
+    if (!entry || (ifMatch !== '*' && ifMatch !== entry.etag)) {
+      throw httpError(412, 'Prompt changed on the server');
+    }
+  } else {
+    throw httpError(428, 'Writes need If-Match or If-None-Match: *');
+  }
+}
+
+function isAuthorized(header, token) {
+  const given = Buffer.from(/^Bearer (.+)$/i.exec(header || '')?.[1] || '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw httpError(413, 'Request body too large');
+    }
+    chunks.push(chunk);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch {
+    throw httpError(400, 'Request body is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw httpError(400, 'Request body must be a JSON object');
+  }
+  return data;
+}
+
+function send(res, { status, headers = {}, body }) {
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  const text = JSON.stringify(body);
+  res.writeHead(status, { ...headers, 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * The server's prompts: { revision, prompts: { name: { revision, etag,
+ * deleted, record } } }, saved after every change. Requests are handled
+ * one at a time between awaits, so no locking is needed.
+ */
+class SyncStore {
+  constructor(dir) {
+    this.file = path.join(dir, 'prompts.json');
+    fs.ensureDirSync(dir);
+    this.data = fs.existsSync(this.file)
+      ? fs.readJsonSync(this.file)
+      : { revision: 0, prompts: {} };
+  }
+
+  get revision() {
+    return this.data.revision;
+  }
+
+  get(name) {
+    const entry = this.data.prompts[name];
+    return entry && !entry.deleted ? entry : null;
+  }
+
+  * live() {
+    for (const [name, entry] of Object.entries(this.data.prompts)) {
+      if (!entry.deleted) {
+        yield [name, entry];
+      }
+    }
+  }
+
+  changesSince(revision) {
+    return Object.entries(this.data.prompts)
+      .filter(([, entry]) => entry.revision > revision)
+      .sort(([, a], [, b]) => a.revision - b.revision)
+      .map(([name, entry]) => entry.deleted
+        ? { name, revision: entry.revision, deleted: true }
+        : { name, revision: entry.revision, etag: entry.etag, record: entry.record });
+  }
+
+  put(name, record) {
+    const entry = { revision: this.data.revision + 1, etag: computeEtag(record), record };
+    this.data.prompts[name] = entry;
+    this.save(entry.revision);
+    return entry;
+  }
+
+  delete(name) {
+    const revision = this.data.revision + 1;
+    this.data.prompts[name] = { revision, deleted: true };
+    this.save(revision);
+    return revision;
+  }
+
+  save(revision) {
+    this.data.revision = revision;
+    writeJsonAtomicSync(this.file, this.data);
+  }
+}
+
+function computeEtag(record) {
+  return `"${crypto.createHash('sha256').update(JSON.stringify(record)).digest('hex').slice(0, 16)}"`;
+}
@@ -0,0 +1,266 @@
+// Line-based diff utilities
+
+/**
+ * Compute a line-level edit script between two texts.
+ * Returns an array of { type, line } where type is ' ' (unchanged),
+ * '-' (only in old) or '+' (only in new).
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Trim common prefix and suffix so the LCS table stays small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // Longest common subsequence table over the differing middle section
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint32Array(cols));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i][j] = midA[i] === midB[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: '-', line: midA[i++] });
+    } else {
+      ops.push({ type: '+', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: '-', line: midA[i++] });
+  while (j < midB.length) ops.push({ type: '+', line: midB[j++] });
+  a.slice(endA).forEach(line => ops.push({ type: ' ', line }));
+
+  return ops;
+}
+
+/**
+ * Build a unified diff (as produced by `diff -u`) between two texts.
+ * Returns an empty string when the texts are identical.
+ */
+export function unifiedDiff(oldText, newText, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options;
+  const ops = diffLines(oldText, newText);
+
+  if (!ops.some(op => op.type !== ' ')) {
+    return '';
+  }
+
+  const lines = [`--- ${fromFile}`, `+++ ${toFile}`];
+  for (const hunk of buildHunks(ops, context)) {
+    lines.push(`@@ -${formatRange(hunk.oldStart, hunk.oldCount)} +${formatRange(hunk.newStart, hunk.newCount)} @@`);
+    hunk.ops.forEach(op => lines.push(op.type + op.line));
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Three-way line merge of two texts that both started from `baseText`.
+ * Changes made on one side are applied; overlapping changes that differ
+ * are kept as conflict blocks:
+ *
+ *   <<<<<<< ours
+ *   ...
+ *   =======
+ *   ...
+ *   >>>>>>> theirs
+ *
+ * Returns { text, conflicts } with the number of conflict blocks.
+ */
+export function merge3(baseText, oursText, theirsText, labels = {}) {
+  const base = splitLines(baseText);
+  const hunks = [
+    ...changedRegions(diffLines(baseText, oursText)).map(hunk => ({ ...hunk, side: 'ours' })),
+    ...changedRegions(diffLines(baseText, theirsText)).map(hunk => ({ ...hunk, side: 'theirs' }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // One side's version of base[start, end) with its hunks applied
+  const apply = (side, start, end) => {
+    const lines = [];
+    let position = start;
+    for (const hunk of side) {
+      lines.push(...base.slice(position, hunk.start), ...hunk.lines);
+      position = hunk.end;
+    }
+    lines.push(...base.slice(position, end));
+    return lines;
+  };
+
+  const lines = [];
+  let position = 0;
+  let conflicts = 0;
+  let i = 0;
+
+  while (i < hunks.length) {
+    // Group hunks that overlap or touch; within a group both sides must agree
+    const start = hunks[i].start;
+    let end = hunks[i].end;
+    const group = [hunks[i++]];
+    while (i < hunks.length && hunks[i].start <= end) {
+      end = Math.max(end, hunks[i].end);
+      group.push(hunks[i++]);
+    }
+
+    lines.push(...base.slice(position, start));
+    const ours = group.filter(hunk => hunk.side === 'ours');
+    const theirs = group.filter(hunk => hunk.side === 'theirs');
+    const oursLines = apply(ours, start, end);
+    const theirsLines = apply(theirs, start, end);
+
+    if (theirs.length === 0 || oursLines.join('\n') === theirsLines.join('\n')) {
+      lines.push(...oursLines);
+    } else if (ours.length === 0) {
+      lines.push(...theirsLines);
+    } else {
+      conflicts++;
+      lines.push(
+        `<<<<<<< ${labels.ours || 'ours'}`,
+        ...oursLines,
+        '=======',
+        ...theirsLines,
+        `>>>>>>> ${labels.theirs || 'theirs'}`
+      );
+    }
+    position = end;
+  }
+  lines.push(...base.slice(position));
+
+  // Keep a trailing newline unless one side removed it
+  const endsWithNewline = text => (text || '').endsWith('\n');
+  const newline = endsWithNewline(oursText) !== endsWithNewline(baseText)
+    ? endsWithNewline(oursText)
+    : endsWithNewline(theirsText);
+
+  const text = lines.join('\n');
+  return { text: newline && lines.length > 0 ? text + '\n' : text, conflicts };
+}
+
+// Base line ranges [start, end) replaced by `lines`, from an edit script
+function changedRegions(ops) {
+  const regions = [];
+  let baseLine = 0;
+  let current = null;
+
+  for (const op of ops) {
+    if (op.type === ' ') {
+      if (current) {
+        regions.push(current);
+        current = null;
+      }
+      baseLine++;
+      continue;
+    }
+
+    if (!current) {
+      current = { start: baseLine, end: baseLine, lines: [] };
+    }
+    if (op.type === '-') {
+      current.end++;
+      baseLine++;
+    } else {
+      current.lines.push(op.line);
+    }
+  }
+  if (current) {
+    regions.push(current);
+  }
+
+  return regions;
+}
+
+function buildHunks(ops, context) {
+  const hunks = [];
+  let oldLine = 1;
+  let newLine = 1;
+  let current = null;
+  let trailing = 0;
+
+  // Index of the next change at or after each position
+  const nextChangeAt = new Array(ops.length + 1).fill(-1);
+  for (let k = ops.length - 1; k >= 0; k--) {
+    nextChangeAt[k] = ops[k].type !== ' ' ? k : nextChangeAt[k + 1];
+  }
+
+  for (let index = 0; index < ops.length; index++) {
+    const op = ops[index];
+
+    if (op.type !== ' ') {
+      if (!current) {
+        // Open a hunk with up to `context` lines of leading context
+        const lead = [];
+        for (let k = index - 1; k >= 0 && lead.length < context && ops[k].type === ' '; k--) {
+          lead.unshift(ops[k]);
+        }
+        current = {
+          oldStart: oldLine - lead.length,
+          newStart: newLine - lead.length,
+          oldCount: lead.length,
+          newCount: lead.length,
+          ops: [...lead]
+        };
+      }
+      current.ops.push(op);
+      if (op.type === '-') current.oldCount++;
+      if (op.type === '+') current.newCount++;
+      trailing = 0;
+    } else if (current) {
+      // Keep context until the gap to the next change is too large
+      const nextChange = nextChangeAt[index];
+      const gap = nextChange === -1 ? Infinity : trailing + nextChange - index;
+      if (trailing < context || gap <= context * 2) {
+        current.ops.push(op);
+        current.oldCount++;
+        current.newCount++;
+        trailing++;
+      } else {
+        hunks.push(current);
+        current = null;
+        trailing = 0;
+      }
+    }
+
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  if (current) {
+    hunks.push(current);
+  }
+
+  return hunks;
+}
+
+function formatRange(start, count) {
+  // diff -u reports an empty range as starting on the line before it
+  if (count === 0) return `${start - 1},0`;
+  return count === 1 ? `${start}` : `${start},${count}`;
+}
+
+function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\n$/, '').split('\n');
+}
@@ -0,0 +1,18 @@
+// Durations written as a number and a unit: 30s, 5m, 12h, 30d, 2w
+
+export const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// Parse durations like "30d", "12h" or "2w" into milliseconds
+export function parseDuration(value) {
+  const match = String(value).trim().match(/^(\d+)\s*([smhdw])$/i);
+  if (!match) {
+    throw new Error(`Invalid duration '${value}'. Use a number followed by s, m, h, d or w (e.g. 30d)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[match[2].toLowerCase()];
+}
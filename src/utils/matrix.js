@@ -0,0 +1,132 @@
+// Variable sets for batch rendering, read from CSV or JSON Lines
+
+/**
+ * Rows of a matrix file: [{ row, line, values }] or, for a row that cannot
+ * be read, [{ row, line, error }]. `row` counts data rows from 1 and `line`
+ * is where the row starts. A .csv file takes its variable names from the
+ * header row; .jsonl and .ndjson files hold one JSON object per line.
+ * Values that are not strings become JSON, as {{#each}} reads lists.
+ */
+export function parseMatrix(text, format) {
+  const source = text.replace(/^\uFEFF/, '');
+  switch (format) {
+  case 'csv':
+    return parseCsv(source);
+  case 'jsonl':
+    return parseJsonLines(source);
+  default:
+    throw new Error(`Unknown matrix format '${format}'; use csv or jsonl`);
+  }
+}
+
+// Format of a matrix file from its extension, or null
+export function matrixFormat(file) {
+  const extension = file.slice(file.lastIndexOf('.') + 1).toLowerCase();
+  if (extension === 'csv') {
+    return 'csv';
+  }
+  return ['jsonl', 'ndjson'].includes(extension) ? 'jsonl' : null;
+}
+
+function parseJsonLines(text) {
+  const rows = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) {
+      return;
+    }
+    const row = { row: rows.length + 1, line: i + 1 };
+    try {
+      const data = JSON.parse(line);
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('expected a JSON object');
+      }
+      row.values = toValues(data);
+    } catch (error) {
+      row.error = `Invalid JSON: ${error.message}`;
+    }
+    rows.push(row);
+  });
+  return rows;
+}
+
+function parseCsv(text) {
+  const records = readCsvRecords(text).filter(record => !(record.fields.length === 1 && record.fields[0] === ''));
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...data] = records;
+  const names = header.fields.map(name => name.trim());
+  if (names.some(name => !name)) {
+    throw new Error('The CSV header row has an empty column name');
+  }
+
+  return data.map((record, i) => {
+    const row = { row: i + 1, line: record.line };
+    if (record.error) {
+      row.error = record.error;
+    } else if (record.fields.length !== names.length) {
+      row.error = `Expected ${names.length} columns, found ${record.fields.length}`;
+    } else {
+      row.values = Object.fromEntries(names.map((name, column) => [name, record.fields[column]]));
+    }
+    return row;
+  });
+}
+
+// RFC 4180 records: [{ fields, line, error }], quoted fields spanning lines
+function readCsvRecords(text) {
+  const records = [];
+  let record = { fields: [], line: 1 };
+  let field = '';
+  let quoted = false;
+  let line = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      record.fields.push(field);
+      records.push(record);
+      line++;
+      record = { fields: [], line };
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    record.error = 'Unclosed quote';
+  }
+  if (field !== '' || record.fields.length > 0 || quoted) {
+    record.fields.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+function toValues(data) {
+  return Object.fromEntries(Object.entries(data)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+}
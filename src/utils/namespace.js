@@ -0,0 +1,110 @@
+/**
+ * Slash-separated prompt names (`review/security/owasp`) treated as folders.
+ */
+
+export const SEPARATOR = '/';
+
+// A namespace argument is written with a trailing slash: `review/`
+export function isNamespace(name) {
+  return typeof name === 'string' && name.endsWith(SEPARATOR);
+}
+
+// Last segment of a name: `review/security/owasp` -> `owasp`
+export function leafName(name) {
+  return name.slice(name.lastIndexOf(SEPARATOR) + 1);
+}
+
+/**
+ * Names to move a namespace to another: every name under `from` gets the
+ * `to` prefix instead. Returns [[oldName, newName], ...].
+ */
+export function renameNamespace(names, from, to) {
+  const target = to === '' || isNamespace(to) ? to : to + SEPARATOR;
+  return names
+    .filter(name => name.startsWith(from))
+    .map(name => [name, target + name.slice(from.length)]);
+}
+
+/**
+ * Build a folder tree from prompt names. Each node is
+ * { name, path, isPrompt, count, children } where `path` is the full
+ * name up to this node and `count` the number of prompts at or below it.
+ * A name can be both a prompt and a folder.
+ */
+export function buildTree(names) {
+  const root = { name: '', path: '', isPrompt: false, count: 0, children: new Map() };
+
+  for (const name of names) {
+    const segments = name.split(SEPARATOR);
+    let node = root;
+    root.count++;
+
+    segments.forEach((segment, i) => {
+      if (!node.children.has(segment)) {
+        const prefix = segments.slice(0, i + 1).join(SEPARATOR);
+        node.children.set(segment, { name: segment, path: prefix, isPrompt: false, count: 0, children: new Map() });
+      }
+      node = node.children.get(segment);
+      node.count++;
+    });
+
+    node.isPrompt = true;
+  }
+
+  return root;
+}
+
+/**
+ * Visible rows of a tree, depth first, folders before prompts.
+ * `isExpanded(node, depth)` decides whether a folder's children are shown.
+ * Each row is { node, depth, isFolder, ancestorsLast } where
+ * `ancestorsLast` says, for each level, whether that node was the last
+ * child (used to draw the branch lines).
+ */
+export function flattenTree(root, isExpanded = () => true) {
+  const rows = [];
+
+  const visit = (node, depth, ancestorsLast) => {
+    const children = [...node.children.values()].sort((a, b) => {
+      const aFolder = a.children.size > 0;
+      const bFolder = b.children.size > 0;
+      if (aFolder !== bFolder) return aFolder ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+
+    children.forEach((child, i) => {
+      const last = [...ancestorsLast, i === children.length - 1];
+      const isFolder = child.children.size > 0;
+      rows.push({ node: child, depth, isFolder, ancestorsLast: last });
+      if (isFolder && isExpanded(child, depth)) {
+        visit(child, depth + 1, last);
+      }
+    });
+  };
+
+  visit(root, 0, []);
+  return rows;
+}
+
+// Branch drawing for a row: "│   ├── "
+export function treePrefix(row) {
+  const levels = row.ancestorsLast;
+  let prefix = '';
+  for (let i = 0; i < levels.length - 1; i++) {
+    prefix += levels[i] ? '    ' : '│   ';
+  }
+  return prefix + (levels[levels.length - 1] ? '└── ' : '├── ');
+}
+
+// Plain object form of a tree, for JSON output
+export function treeToJSON(node) {
+  return {
+    name: node.name,
+    path: node.path,
+    prompt: node.isPrompt,
+    count: node.count,
+    children: [...node.children.values()]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(treeToJSON)
+  };
+}
@@ -0,0 +1,33 @@
+// Filters for template placeholders: {{LANG | upper}}, {{CODE | indent 4}}
+
+/**
+ * Each filter lists the names of its arguments, all whole numbers, and
+ * applies to the placeholder's value as a string.
+ */
+export const FILTERS = {
+  upper: {
+    args: [],
+    apply: value => value.toUpperCase()
+  },
+  lower: {
+    args: [],
+    apply: value => value.toLowerCase()
+  },
+  // Indent every non-empty line, the first included
+  indent: {
+    args: ['width'],
+    apply: (value, width) => value.replace(/^(?=[^\r\n])/gm, ' '.repeat(width))
+  },
+  // At most `length` characters, ending with … when cut
+  truncate: {
+    args: ['length'],
+    apply: (value, length) => {
+      const chars = Array.from(value);
+      return chars.length <= length ? value : chars.slice(0, Math.max(length - 1, 0)).join('') + '…';
+    }
+  }
+};
+
+export function applyFilters(value, filters = []) {
+  return filters.reduce((result, filter) => FILTERS[filter.name].apply(result, ...filter.args), value);
+}
@@ -0,0 +1,327 @@
+// Template parsing: prompt content to a tree of text, placeholder and block nodes
+import { FILTERS } from './template-filters.js';
+
+// Variable names: letters, digits, _ . and -, not starting with a digit, . or -
+const NAME = /^[\p{L}_][\p{L}\p{N}_.-]*$/u;
+
+// Names that refer to the current item inside {{#each}}
+const LOOP_NAME = /^(this(\.[\p{L}\p{N}_-]+)*|@index)$/u;
+
+const BLOCKS = ['if', 'each'];
+
+/**
+ * Parse prompt content into { type: 'template', body } where body is a list
+ * of nodes:
+ *
+ *   { type: 'text', value }
+ *   { type: 'variable', name, required, fallback, filters, dollar, loop, raw, line, column }
+ *   { type: 'if', name, loop, body, alternate, line, column }
+ *   { type: 'each', name, loop, body, line, column }
+ *   { type: 'include', name, args, raw, line, column }
+ *
+ * Variables are {{name}}, {{name!}}, {{name:fallback}} and ${name} (dollar
+ * set), the {{...}} forms optionally followed by filters: {{name | upper}}.
+ * Inside {{#each}}, {{this}}, {{this.field}} and {{@index}} are loop
+ * variables (loop set). {{else}} is only a keyword inside {{#if}}.
+ * {{> name}} includes another prompt, optionally with values of its own:
+ * {{> name ROLE="senior reviewer" LANG=python}} (args).
+ *
+ * \{{ is a literal {{. A {{...}} or ${...} that does not start with a
+ * variable name, or holds more than a name, its ! or default and filters,
+ * is kept as text, so Helm, Go and Jinja templates ({{ .Values.image }},
+ * {{ x | default("y") }}) and shell snippets parse as they are; so are
+ * pipes into anything but a known filter, and {{#...}} and {{/...}} tags
+ * other than #if and #each. Block tags alone on their line take the whole
+ * line with them. A {{ with no }} before the next {{ is kept as text too,
+ * except with `options.validate`, for validateTemplate(). A known filter
+ * used with the wrong arguments and unbalanced blocks throw an error with
+ * code ETEMPLATE and the line and column.
+ */
+export function parseTemplate(source, options = {}) {
+  const root = { type: 'template', body: [] };
+  const stack = [{ node: root, list: root.body }];
+  let text = '';
+  let index = 0;
+
+  const flush = () => {
+    if (text) {
+      stack.at(-1).list.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+
+  while (index < source.length) {
+    const next = nextPlaceholder(source, index);
+    if (next === -1) {
+      text += source.slice(index);
+      break;
+    }
+    text += source.slice(index, next);
+
+    if (source[next] === '\\') {
+      text += '{{';
+      index = next + 3;
+      continue;
+    }
+
+    if (source[next] === '$') {
+      const node = parseDollar(source, next);
+      if (node) {
+        flush();
+        stack.at(-1).list.push(node);
+        index = next + node.raw.length;
+      } else {
+        text += '${';
+        index = next + 2;
+      }
+      continue;
+    }
+
+    const end = source.indexOf('}}', next + 2);
+    const reopened = source.indexOf('{{', next + 2);
+    if (end === -1 || (reopened !== -1 && reopened < end)) {
+      if (options.validate) {
+        throw templateError('Unclosed \'{{\'', source, next);
+      }
+      text += '{{';
+      index = next + 2;
+      continue;
+    }
+    const frame = stack.at(-1);
+    const inner = source.slice(next + 2, end).trim();
+
+    if (inner.startsWith('>')) {
+      flush();
+      frame.list.push(parseInclude(source, next, end));
+      index = end + 2;
+      continue;
+    }
+
+    const isBlock = /^[#/]/.test(inner) && BLOCKS.includes(inner.slice(1).trim().split(/\s+/)[0]);
+    if (!isBlock && !(inner === 'else' && frame.node.type === 'if')) {
+      const variable = parseVariable(source, next, end, stack.some(({ node }) => node.type === 'each'));
+      if (variable) {
+        flush();
+        frame.list.push(variable);
+      } else {
+        text += source.slice(next, end + 2);
+      }
+      index = end + 2;
+      continue;
+    }
+
+    // A block tag alone on its line takes the line with it
+    const lineEnd = standaloneLineEnd(source, next, end + 2);
+    if (lineEnd !== -1) {
+      text = text.replace(/[ \t]*$/, '');
+    }
+    flush();
+    index = lineEnd !== -1 ? lineEnd : end + 2;
+
+    if (inner === 'else') {
+      if (frame.list === frame.node.alternate) {
+        throw templateError('Second \'{{else}}\' in the same \'{{#if}}\'', source, next);
+      }
+      frame.list = frame.node.alternate;
+    } else if (inner.startsWith('#')) {
+      const block = parseBlock(source, next, inner, stack.some(({ node }) => node.type === 'each'));
+      frame.list.push(block);
+      stack.push({ node: block, list: block.body });
+    } else {
+      const type = inner.slice(1).trim();
+      if (stack.length === 1) {
+        throw templateError(`'{{${inner}}}' without a matching '{{#${type}}}'`, source, next);
+      }
+      if (type !== frame.node.type) {
+        throw templateError(`'{{${inner}}}' closes '{{#${frame.node.type} ${frame.node.name}}}' from line ${frame.node.line}`, source, next);
+      }
+      stack.pop();
+    }
+  }
+
+  flush();
+  if (stack.length > 1) {
+    const { node } = stack.at(-1);
+    throw templateError(`Unclosed '{{#${node.type} ${node.name}}}'`, source, node.offset);
+  }
+  return root;
+}
+
+// Whether `name` can be used in a placeholder
+export function isVariableName(name) {
+  return NAME.test(name);
+}
+
+/**
+ * Call `visit(node)` for every node of a parsed template, depth first
+ */
+export function walkTemplate(node, visit) {
+  visit(node);
+  for (const child of [...(node.body || []), ...(node.alternate || [])]) {
+    walkTemplate(child, visit);
+  }
+}
+
+/**
+ * An error with code ETEMPLATE for `offset` in `source`, with its line and
+ * column (both from 1)
+ */
+export function templateError(message, source, offset) {
+  const { line, column } = locate(source, offset);
+  const error = new Error(`${message} at line ${line}, column ${column}`);
+  error.code = 'ETEMPLATE';
+  error.line = line;
+  error.column = column;
+  return error;
+}
+
+// Offset of the next \{{, {{ or ${ at or after `from`, or -1
+function nextPlaceholder(source, from) {
+  for (let i = from; i < source.length - 1; i++) {
+    const pair = source[i] + source[i + 1];
+    if (pair === '{{' || pair === '${' || (pair === '\\{' && source[i + 2] === '{')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+// {{#if NAME}} or {{#each NAME}}; inside a loop NAME may be a loop variable
+function parseBlock(source, start, inner, inLoop) {
+  const [keyword, name, ...extra] = inner.slice(1).trim().split(/\s+/);
+  const loop = Boolean(name) && inLoop && LOOP_NAME.test(name);
+  if (!name || extra.length > 0 || (!loop && !NAME.test(name))) {
+    throw templateError(`'{{#${keyword}}}' takes one variable name`, source, start);
+  }
+
+  const block = { type: keyword, name, loop, body: [], offset: start, ...locate(source, start) };
+  if (keyword === 'if') {
+    block.alternate = [];
+  }
+  return block;
+}
+
+// {{> name}}, optionally followed by KEY=value or KEY="quoted value" pairs
+function parseInclude(source, start, end) {
+  const head = source.indexOf('>', start) + 1;
+  const inner = source.slice(head, end);
+  const name = /^\s*([^\s"=]*)/.exec(inner)[1];
+  if (!name) {
+    throw templateError('\'{{>}}\' needs the name of a prompt to include', source, start);
+  }
+
+  const args = {};
+  const pair = /\s+([^\s=]+)=(?:"((?:[^"\\]|\\.)*)"|([^\s"]*))/y;
+  pair.lastIndex = inner.indexOf(name) + name.length;
+  for (let rest = inner.slice(pair.lastIndex); rest.trim(); rest = inner.slice(pair.lastIndex)) {
+    const offset = head + pair.lastIndex + rest.length - rest.trimStart().length;
+    const match = pair.exec(inner);
+    if (!match) {
+      throw templateError(`Expected KEY=value after '{{> ${name}}}'`, source, offset);
+    }
+    if (!NAME.test(match[1])) {
+      throw templateError(`Invalid variable name '${match[1]}'`, source, offset);
+    }
+    args[match[1]] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+
+  return { type: 'include', name, args, raw: source.slice(start, end + 2), ...locate(source, start) };
+}
+
+// {{name}}, {{name!}} or {{name:fallback}}, each optionally | filter args;
+// null when the braces hold anything else
+function parseVariable(source, start, end, inLoop) {
+  const [head, ...filterParts] = source.slice(start + 2, end).split('|');
+  let offset = start + 2;
+
+  const name = /^[^\s:!]*/.exec(head.trimStart())[0];
+  const loop = inLoop && LOOP_NAME.test(name);
+  if (!loop && !NAME.test(name)) {
+    return null;
+  }
+
+  const rest = head.slice(head.length - head.trimStart().length + name.length);
+  let required = false;
+  let fallback;
+  if (rest.trimStart().startsWith(':')) {
+    fallback = rest.trimStart().slice(1).trim();
+  } else if (rest.trim() === '!') {
+    required = true;
+  } else if (rest.trim()) {
+    return null;
+  }
+
+  offset += head.length + 1;
+  const filters = filterParts.map(part => {
+    const filter = parseFilter(source, offset + (part.length - part.trimStart().length), part.trim());
+    offset += part.length + 1;
+    return filter;
+  });
+  if (filters.includes(null)) {
+    return null;
+  }
+
+  return {
+    type: 'variable',
+    name,
+    required,
+    fallback,
+    filters,
+    dollar: false,
+    loop,
+    raw: source.slice(start, end + 2),
+    ...locate(source, start)
+  };
+}
+
+// `truncate 2000` -> { name: 'truncate', args: [2000] }; null when `text`
+// does not start with the name of a filter (`default("y")`, Jinja's)
+function parseFilter(source, offset, text) {
+  const [name, ...args] = text.split(/\s+/);
+  const filter = Object.hasOwn(FILTERS, name) ? FILTERS[name] : null;
+  if (!filter) {
+    return null;
+  }
+  if (args.length !== filter.args.length || !args.every(arg => /^\d+$/.test(arg))) {
+    const usage = [name, ...filter.args.map(arg => `<${arg}>`)].join(' ');
+    throw templateError(`Filter '${name}' is used as '${usage}'${filter.args.length ? ' with whole numbers' : ''}`, source, offset);
+  }
+  return { name, args: args.map(Number) };
+}
+
+// ${name}; null when the braces hold anything else
+function parseDollar(source, start) {
+  const pattern = /\$\{\s*([^\s{}]+)\s*\}/y;
+  pattern.lastIndex = start;
+  const match = pattern.exec(source);
+  if (!match || !NAME.test(match[1])) {
+    return null;
+  }
+  return {
+    type: 'variable',
+    name: match[1],
+    required: false,
+    fallback: undefined,
+    filters: [],
+    dollar: true,
+    loop: false,
+    raw: match[0],
+    ...locate(source, start)
+  };
+}
+
+// Where the line ends (past its newline) when a tag is alone on it, else -1
+function standaloneLineEnd(source, start, end) {
+  const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+  if (!/^[ \t]*$/.test(source.slice(lineStart, start))) {
+    return -1;
+  }
+  const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(end));
+  return after ? end + after[0].length : -1;
+}
+
+function locate(source, offset) {
+  const before = source.slice(0, offset);
+  const line = before.split('\n').length;
+  return { line, column: offset - before.lastIndexOf('\n') };
+}
@@ -1,25 +1,80 @@
 // Template variable substitution utilities
+import { parseTemplate, walkTemplate } from './template-parser.js';
+import { applyFilters } from './template-filters.js';
 
-export function substituteVariables(content, variables = {}) {
-  if (!variables || Object.keys(variables).length === 0) {
-    return content;
-  }
+// Values that make {{#if}} false, besides a missing or empty one
+const FALSE_VALUES = ['false', 'no', '0'];
 
-  let result = content;
-  
-  // Replace {{VARIABLE}} patterns
-  for (const [key, value] of Object.entries(variables)) {
-    const pattern = new RegExp(`{{\\s*${key}\\s*}}`, 'g');
-    result = result.replace(pattern, value);
+/**
+ * Render a template (see parseTemplate): fill in {{name}} and ${name}
+ * placeholders and expand {{#if}} and {{#each}} blocks. Placeholders
+ * without a value use their default; those without either are left as
+ * they are, unless they are required, or `options.strict` is set. Then an
+ * error with code EMISSINGVARS lists them (see findMissingVariables).
+ * Malformed templates throw an ETEMPLATE error with the line and column.
+ *
+ * {{> name}} includes are rendered in place when `options.include(name)`
+ * returns the included prompt as { name, content }, with the same values
+ * plus the include's own. `options.name` is the prompt being rendered.
+ * Without `options.include` they are left as they are. An include that is
+ * not found or includes itself, directly or not, throws an EINCLUDE error
+ * with the chain of includes.
+ */
+export function substituteVariables(content, variables = {}, options = {}) {
+  const { text, missing } = render(parseTemplate(content), variables || {}, options);
+  const unresolved = options.strict ? [...missing.required, ...missing.optional] : missing.required;
+  if (unresolved.length > 0) {
+    throw missingVariablesError(unresolved, missing.required);
   }
+  return text;
+}
 
-  // Also support ${VARIABLE} syntax
-  for (const [key, value] of Object.entries(variables)) {
-    const pattern = new RegExp(`\\$\\{\\s*${key}\\s*\\}`, 'g');
-    result = result.replace(pattern, value);
-  }
+/**
+ * {{name}} placeholders and {{#each}} lists that `variables` gives no value
+ * for and that have no default: { required, optional } lists of names, in
+ * order of first use. Placeholders in sections left out by {{#if}} do not
+ * count; those of included prompts do (see substituteVariables for
+ * `options`).
+ */
+export function findMissingVariables(content, variables = {}, options = {}) {
+  return render(parseTemplate(content), variables || {}, options).missing;
+}
 
-  return result;
+/**
+ * Names of the variables a template uses, in order of first use
+ */
+export function extractVariables(content) {
+  return [...collectVariables(parseTemplate(content)).keys()];
+}
+
+/**
+ * Names of the prompts a template includes with {{> name}}, as written, in
+ * order of first use
+ */
+export function extractIncludes(content) {
+  const names = new Set();
+  walkTemplate(parseTemplate(content), node => {
+    if (node.type === 'include') {
+      names.add(node.name);
+    }
+  });
+  return [...names];
+}
+
+/**
+ * The ETEMPLATE error for the first malformed placeholder in `content`, or
+ * null when it parses. Unlike rendering, this reports a stray {{.
+ */
+export function validateTemplate(content) {
+  try {
+    parseTemplate(content, { validate: true });
+    return null;
+  } catch (error) {
+    if (error.code === 'ETEMPLATE') {
+      return error;
+    }
+    throw error;
+  }
 }
 
 export function parseVariables(varsArray) {
@@ -39,20 +94,196 @@ export function parseVariables(varsArray) {
   return variables;
 }
 
-export function extractVariables(content) {
-  const variables = new Set();
-  
-  // Find {{VARIABLE}} patterns
-  const curlyMatches = content.matchAll(/{{\\s*([^}]+)\\s*}}/g);
-  for (const match of curlyMatches) {
-    variables.add(match[1].trim());
+/**
+ * Variables used in a parsed template, by placeholders or blocks: name ->
+ * { required, fallback, curly }. A default or required marker on any use of
+ * a variable applies to all. Loop variables ({{this}}...) are not included.
+ */
+function collectVariables(template) {
+  const declared = new Map();
+
+  walkTemplate(template, node => {
+    if (node.type === 'template' || node.type === 'text' || node.type === 'include' || node.loop) {
+      return;
+    }
+    const variable = declared.get(node.name) || { required: false, fallback: undefined, curly: false };
+    variable.required ||= Boolean(node.required);
+    variable.fallback ??= node.fallback;
+    variable.curly ||= !node.dollar;
+    declared.set(node.name, variable);
+  });
+  return declared;
+}
+
+function render(template, values, options = {}) {
+  const context = {
+    values,
+    declared: collectVariables(template),
+    // Name -> whether any template that misses it requires it
+    missing: new Map(),
+    loops: [],
+    include: options.include,
+    chain: options.name ? [options.name] : []
+  };
+  const text = renderNodes(template.body, context);
+
+  const missing = [...context.missing];
+  return {
+    text,
+    missing: {
+      required: missing.filter(([, required]) => required).map(([name]) => name),
+      optional: missing.filter(([, required]) => !required).map(([name]) => name)
+    }
+  };
+}
+
+function renderNodes(nodes, context) {
+  return nodes.map(node => renderNode(node, context)).join('');
+}
+
+function renderNode(node, context) {
+  switch (node.type) {
+  case 'text':
+    return node.value;
+
+  case 'if':
+    return renderNodes(isTruthy(lookup(node, context)) ? node.body : node.alternate, context);
+
+  case 'each': {
+    const value = lookup(node, context);
+    if (value === undefined) {
+      addMissing(node, context);
+      return '';
+    }
+    return toList(value)
+      .map((item, index) => renderNodes(node.body, { ...context, loops: [...context.loops, { item, index }] }))
+      .join('');
   }
 
-  // Find ${VARIABLE} patterns
-  const dollarMatches = content.matchAll(/\\$\\{\\s*([^}]+)\\s*\\}/g);
-  for (const match of dollarMatches) {
-    variables.add(match[1].trim());
+  case 'include':
+    return renderInclude(node, context);
+
+  default:
+    return renderVariable(node, context);
   }
+}
 
-  return Array.from(variables);
-}
\ No newline at end of file
+// An included prompt, rendered with its own variables; a final newline is
+// dropped so that an include can stand on a line of its own
+function renderInclude(node, context) {
+  if (!context.include) {
+    return node.raw;
+  }
+  const included = context.include(node.name);
+  if (!included) {
+    throw includeError(`Included prompt '${node.name}' not found`, [...context.chain, node.name]);
+  }
+  const chain = [...context.chain, included.name];
+  if (context.chain.includes(included.name)) {
+    throw includeError('Include cycle', chain);
+  }
+
+  let template;
+  try {
+    template = parseTemplate(included.content || '');
+  } catch (error) {
+    if (error.code === 'ETEMPLATE') {
+      error.message = `In included prompt '${included.name}': ${error.message}`;
+    }
+    throw error;
+  }
+  const text = renderNodes(template.body, {
+    ...context,
+    values: { ...context.values, ...node.args },
+    declared: collectVariables(template),
+    loops: [],
+    chain
+  });
+  return text.replace(/\r?\n$/, '');
+}
+
+function renderVariable(node, context) {
+  const value = lookup(node, context);
+  if (value !== undefined) {
+    return applyFilters(display(value), node.filters);
+  }
+  // ${name} placeholders have no defaults; shell snippets keep theirs
+  if (node.dollar) {
+    return node.raw;
+  }
+  if (node.fallback !== undefined) {
+    return applyFilters(node.fallback, node.filters);
+  }
+  if (node.loop) {
+    return '';
+  }
+  addMissing(node, context);
+  return node.raw;
+}
+
+function addMissing(node, context) {
+  context.missing.set(node.name, context.missing.get(node.name) || context.declared.get(node.name).required);
+}
+
+// The value of a variable or loop variable: given, else its default
+function lookup(node, context) {
+  if (node.loop) {
+    const loop = context.loops.at(-1);
+    if (node.name === '@index') {
+      return loop.index;
+    }
+    return node.name.split('.').slice(1).reduce((item, key) => item?.[key], loop.item);
+  }
+  if (Object.hasOwn(context.values, node.name)) {
+    return context.values[node.name];
+  }
+  return node.dollar ? undefined : context.declared.get(node.name).fallback;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (typeof value === 'string') {
+    return value.trim() !== '' && !FALSE_VALUES.includes(value.trim().toLowerCase());
+  }
+  return Boolean(value);
+}
+
+// {{#each}} takes a JSON array or comma-separated values
+function toList(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  const text = display(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const list = JSON.parse(text);
+      if (Array.isArray(list)) {
+        return list;
+      }
+    } catch {
+      // Not JSON after all; split it like any other list
+    }
+  }
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function display(value) {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function includeError(message, chain) {
+  const error = new Error(`${message}: ${chain.join(' → ')}`);
+  error.code = 'EINCLUDE';
+  error.chain = chain;
+  return error;
+}
+
+function missingVariablesError(names, required) {
+  const error = new Error(`Missing value${names.length === 1 ? '' : 's'} for ${names.map(name => required.includes(name) ? `${name} (required)` : name).join(', ')}`);
+  error.code = 'EMISSINGVARS';
+  error.missing = names;
+  error.required = required;
+  return error;
+}
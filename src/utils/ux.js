@@ -1,5 +1,6 @@
 import chalk from 'chalk';
 import readline from 'readline';
+import { unifiedDiff } from './diff.js';
 
 /**
  * Show a consistent directive summary with optional Enter/Esc handling.
@@ -85,4 +86,248 @@ export function showPreview(name, content, linesToShow = 10) {
   console.log(chalk.gray('─'.repeat(50)));
 }
 
+/**
+ * Format a date relative to now, e.g. "3 hours ago".
+ */
+export function getRelativeTime(date) {
+  const now = new Date();
+  const diffMs = now - date;
+  const diffSecs = Math.floor(diffMs / 1000);
+  const diffMins = Math.floor(diffSecs / 60);
+  const diffHours = Math.floor(diffMins / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffDays > 0) {
+    return `${diffDays} day${diffDays === 1 ? '' : 's'} ago`;
+  } else if (diffHours > 0) {
+    return `${diffHours} hour${diffHours === 1 ? '' : 's'} ago`;
+  } else if (diffMins > 0) {
+    return `${diffMins} minute${diffMins === 1 ? '' : 's'} ago`;
+  } else {
+    return 'just now';
+  }
+}
+
+/**
+ * Color a single line of unified diff output.
+ */
+export function colorizeDiffLine(line) {
+  if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+  if (line.startsWith('@@')) return chalk.cyan(line);
+  if (line.startsWith('+')) return chalk.green(line);
+  if (line.startsWith('-')) return chalk.red(line);
+  return line;
+}
+
+/**
+ * Ask for a secret on the terminal without echoing it. The question goes
+ * to stderr so piped stdout stays clean. Rejects on Ctrl+C.
+ */
+export async function askSecret(question) {
+  process.stderr.write(question);
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    const onKey = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        cleanup();
+        reject(new Error('Cancelled'));
+        return;
+      }
+      if (key.name === 'return' || key.name === 'enter') {
+        cleanup();
+        resolve(value);
+        return;
+      }
+      if (key.name === 'backspace') {
+        value = value.slice(0, -1);
+        return;
+      }
+      if (str && !key.ctrl && !key.meta) {
+        value += str;
+      }
+    };
+    const cleanup = () => {
+      process.stderr.write('\n');
+      process.stdin.removeListener('keypress', onKey);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+      process.stdin.pause();
+    };
+    process.stdin.on('keypress', onKey);
+    process.stdin.resume();
+  });
+}
+
+/**
+ * Ask a question answered with a single key. `choices` maps keys to the
+ * values returned, e.g. { o: 'ours', t: 'theirs' }; other keys are
+ * ignored. Rejects on Ctrl+C.
+ */
+export async function askChoice(question, choices) {
+  process.stderr.write(question);
+
+  return new Promise((resolve, reject) => {
+    readline.emitKeypressEvents(process.stdin);
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(true);
+    }
+    const onKey = (str, key = {}) => {
+      if (key.ctrl && key.name === 'c') {
+        cleanup();
+        process.stderr.write('\n');
+        reject(new Error('Cancelled'));
+        return;
+      }
+      const choice = str && choices[str.toLowerCase()];
+      if (choice) {
+        cleanup();
+        process.stderr.write(str + '\n');
+        resolve(choice);
+      }
+    };
+    const cleanup = () => {
+      process.stdin.removeListener('keypress', onKey);
+      if (process.stdin.isTTY) {
+        process.stdin.setRawMode(false);
+      }
+      process.stdin.pause();
+    };
+    process.stdin.on('keypress', onKey);
+    process.stdin.resume();
+  });
+}
+
+/**
+ * Ask for the value of each variable in turn, on stderr so piped stdout
+ * stays clean. `variables` lists { name, type, description, fallback,
+ * values, lastUsed, required, check }. Enter keeps the last-used value,
+ * else the default; a line with just """ starts a multi-line value, ended
+ * by another such line (multiline variables start with one). `check(value)`
+ * returns { value, error }; a value with an error is asked again.
+ * Returns { name: value }. Rejects on Ctrl+C.
+ */
+export async function askVariables(variables) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+  const cancelled = new Promise((_resolve, reject) => {
+    rl.once('SIGINT', () => reject(new Error('Cancelled')));
+  });
+  cancelled.catch(() => {});
+  const ask = question => Promise.race([new Promise(resolve => rl.question(question, resolve)), cancelled]);
+
+  try {
+    const values = {};
+    for (const variable of variables) {
+      values[variable.name] = await askVariable(ask, variable);
+    }
+    return values;
+  } finally {
+    rl.close();
+  }
+}
+
+async function askVariable(ask, { name, type = 'string', description, fallback, values, lastUsed, required, check }) {
+  const multiline = type === 'multiline';
+  const suggested = lastUsed ?? fallback;
+  const say = text => process.stderr.write(text + '\n');
+
+  say('');
+  say(chalk.cyan.bold(name) + (type !== 'string' ? chalk.gray(` (${type})`) : '') + (required ? chalk.yellow(' (required)') : ''));
+  if (description) {
+    say(chalk.white(`  ${description}`));
+  }
+  if (type === 'enum') {
+    say(chalk.gray(`  One of:    ${values.join(', ')}`));
+  } else if (type === 'boolean') {
+    say(chalk.gray('  Yes or no'));
+  }
+  if (fallback !== undefined) {
+    say(chalk.gray(`  Default:   ${previewValue(fallback)}`));
+  }
+  if (lastUsed !== undefined) {
+    say(chalk.gray(`  Last used: ${previewValue(lastUsed)}`));
+  }
+  const keep = suggested !== undefined ? `${multiline ? 'An empty value' : 'Enter'} keeps the ${lastUsed !== undefined ? 'last-used value' : 'default'}; ` : '';
+  say(chalk.gray(`  ${keep}${multiline ? 'end the value with a line with just """' : '""" for several lines'}`));
+
+  for (;;) {
+    const answer = await askAnswer(ask, multiline);
+    let value = answer;
+    if (answer === '') {
+      if (suggested !== undefined) {
+        value = suggested;
+      } else if (required) {
+        say(chalk.yellow('  A value is required'));
+        continue;
+      } else if (!check) {
+        return '';
+      }
+    }
+    if (!check) {
+      return value;
+    }
+    const result = check(value);
+    if (!result.error) {
+      return result.value;
+    }
+    say(chalk.yellow(`  The value ${result.error}`));
+  }
+}
+
+// One answer: a line, or the lines up to one with just """
+async function askAnswer(ask, multiline) {
+  const first = multiline ? '"""' : await ask(chalk.green('> '));
+  if (first.trim() !== '"""') {
+    return first;
+  }
+  const lines = [];
+  for (let line = await ask(chalk.gray('… ')); line.trim() !== '"""'; line = await ask(chalk.gray('… '))) {
+    lines.push(line);
+  }
+  return lines.join('\n');
+}
+
+// First line of a value, shortened to fit on one line
+function previewValue(value) {
+  const [first, ...rest] = String(value).split('\n');
+  const line = first.length > 60 ? first.slice(0, 59) + '…' : first;
+  return rest.length > 0 ? `${line} ${chalk.dim(`(+${rest.length} more line${rest.length === 1 ? '' : 's'})`)}` : line;
+}
+
+/**
+ * Show a prompt that changed on both sides and ask which version to keep.
+ * `ours` or `theirs` is null when that side deleted the prompt; `fields`
+ * lists the fields both sides changed. Returns 'ours', 'theirs' or
+ * 'markers' (the line-level merge with conflict markers).
+ */
+export async function chooseConflictResolution({ name, ours, theirs, fields = [], labels = {} }) {
+  const oursLabel = labels.ours || 'ours';
+  const theirsLabel = labels.theirs || 'theirs';
+
+  console.log();
+  console.log(chalk.yellow(`'${name}' changed on both sides`) + (fields.length > 0 ? chalk.gray(` (${fields.join(', ')})`) : ''));
+
+  if (ours && theirs) {
+    unifiedDiff(ours.content || '', theirs.content || '', { fromFile: oursLabel, toFile: theirsLabel })
+      .split('\n')
+      .forEach(line => console.log(colorizeDiffLine(line)));
+  } else {
+    console.log(chalk.gray(`  Deleted ${ours ? theirsLabel : oursLabel}, changed ${ours ? oursLabel : theirsLabel}`));
+  }
+
+  const choices = { o: 'ours', t: 'theirs' };
+  let question = `Keep [o] the ${oursLabel} version or [t] the ${theirsLabel} version`;
+  if (ours && theirs) {
+    choices.m = 'markers';
+    question += ', or [m] merge with conflict markers';
+  }
+  return askChoice(chalk.cyan(`${question}? `), choices);
+}
+
 export default { showDirectiveSummary };
@@ -0,0 +1,176 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { parseVariables } from './template.js';
+
+const execAsync = promisify(exec);
+
+const ENV_REFERENCE = /^\$([A-Za-z_][A-Za-z0-9_]*)$/;
+const ENV_LINE = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.*)$/;
+
+// Command output beyond this is refused rather than cut off
+const MAX_OUTPUT = 16 * 1024 * 1024;
+
+/**
+ * Values for `get`: those of `options.varsFile` (JSON or .env), overridden
+ * by `options.vars` (KEY=value strings). A --vars value is taken as written
+ * unless it is
+ *
+ *   @path   the contents of a file
+ *   @-      standard input
+ *   $NAME   the environment variable NAME
+ *   !cmd    the output of a shell command, without its trailing newlines;
+ *           only with `options.allowCommands`
+ *
+ * Doubling the first character (@@, $$, !!) stands for the character
+ * itself. Returns { values, sources } where sources says where each value
+ * came from ('--vars-file vars.json', '@diff.txt', '$USER', ...).
+ */
+export async function loadVariables(options = {}) {
+  const values = {};
+  const sources = {};
+
+  if (options.varsFile) {
+    for (const [key, value] of Object.entries(await readVariablesFile(options.varsFile))) {
+      values[key] = value;
+      sources[key] = `--vars-file ${options.varsFile}`;
+    }
+  }
+
+  let stdinUsed = false;
+  for (const [key, raw] of Object.entries(parseVariables(options.vars))) {
+    const first = raw[0];
+    if (['@', '$', '!'].includes(first) && raw[1] === first) {
+      values[key] = raw.slice(1);
+      sources[key] = '--vars';
+    } else if (raw === '@-') {
+      if (stdinUsed) {
+        throw sourceError(`Only one variable can read standard input; ${key} is the second`);
+      }
+      stdinUsed = true;
+      values[key] = await readStdin(key);
+      sources[key] = 'stdin';
+    } else if (first === '@' && raw.length > 1) {
+      values[key] = await readValueFile(key, raw.slice(1));
+      sources[key] = raw;
+    } else if (ENV_REFERENCE.test(raw)) {
+      const name = ENV_REFERENCE.exec(raw)[1];
+      if (process.env[name] === undefined) {
+        throw sourceError(`Environment variable ${name} for ${key} is not set`);
+      }
+      values[key] = process.env[name];
+      sources[key] = raw;
+    } else if (first === '!' && raw.length > 1) {
+      if (!options.allowCommands) {
+        throw sourceError(`${key}=${raw} runs a command; pass --allow-commands to allow it`);
+      }
+      values[key] = await runCommand(key, raw.slice(1));
+      sources[key] = raw;
+    } else {
+      values[key] = raw;
+      sources[key] = '--vars';
+    }
+  }
+
+  return { values, sources };
+}
+
+/**
+ * Variables from a file: a JSON object (arrays and objects become JSON,
+ * for {{#each}}) or, for any other extension, .env lines: KEY=value,
+ * optionally quoted, with # comments
+ */
+export async function readVariablesFile(file) {
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw sourceError(`Cannot read variables file '${file}': ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+
+  if (path.extname(file).toLowerCase() === '.json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw sourceError(`Variables file '${file}' is not valid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw sourceError(`Variables file '${file}' must hold a JSON object`);
+    }
+    return Object.fromEntries(Object.entries(data)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+  }
+
+  return parseEnv(text, file);
+}
+
+function parseEnv(text, file) {
+  const values = {};
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) {
+      return;
+    }
+    const match = ENV_LINE.exec(trimmed);
+    if (!match) {
+      throw sourceError(`${file}:${i + 1}: expected KEY=value`);
+    }
+    values[match[1]] = parseEnvValue(match[2].trim(), `${file}:${i + 1}`);
+  });
+  return values;
+}
+
+// "double quoted" with \n escapes, 'single quoted' as is, or bare up to a # comment
+function parseEnvValue(value, where) {
+  const quote = value[0];
+  if (quote === '"' || quote === '\'') {
+    const end = value.indexOf(quote, 1);
+    if (end === -1) {
+      throw sourceError(`${where}: unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+    }
+    const inner = value.slice(1, end);
+    return quote === '\'' ? inner : inner.replace(/\\([nrt"\\])/g, (_match, char) => ({ n: '\n', r: '\r', t: '\t' })[char] || char);
+  }
+  return value.replace(/\s+#.*$/, '');
+}
+
+async function readValueFile(key, file) {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    throw sourceError(`Cannot read '${file}' for ${key}: ${error.code === 'ENOENT' ? 'no such file' : error.message}`);
+  }
+}
+
+async function readStdin(key) {
+  if (process.stdin.isTTY) {
+    throw sourceError(`${key}=@- reads standard input, but nothing is piped in`);
+  }
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function runCommand(key, command) {
+  try {
+    const { stdout } = await execAsync(command, { maxBuffer: MAX_OUTPUT, encoding: 'utf8' });
+    return stdout.replace(/(\r?\n)+$/, '');
+  } catch (error) {
+    if (!Number.isInteger(error.code)) {
+      throw sourceError(`Command for ${key} failed: ${error.message}`);
+    }
+    const detail = error.stderr?.trim();
+    throw sourceError(`Command for ${key} failed with exit code ${error.code}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+function sourceError(message) {
+  const error = new Error(message);
+  error.code = 'EVARSOURCE';
+  return error;
+}
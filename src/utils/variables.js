@@ -0,0 +1,127 @@
+import fs from 'fs';
+import path from 'path';
+
+// What prompts declare about their variables
+
+export const VARIABLE_TYPES = ['string', 'number', 'boolean', 'enum', 'path', 'multiline'];
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off'];
+
+/**
+ * A variable as a prompt declares it, for asking and listing: { name, type,
+ * description, fallback, values, pattern }. Undeclared variables are
+ * plain strings.
+ */
+export function describeVariable(prompt, name) {
+  const declaration = prompt.declarations?.[name] || {};
+  return {
+    name,
+    type: declaration.type || 'string',
+    description: declaration.description,
+    fallback: declaration.default,
+    values: declaration.values,
+    pattern: declaration.pattern
+  };
+}
+
+// Declared defaults of a prompt's variables: { name: default }
+export function getDeclaredDefaults(prompt) {
+  return Object.fromEntries(Object.entries(prompt.declarations || {})
+    .filter(([, declaration]) => declaration.default !== undefined)
+    .map(([name, declaration]) => [name, declaration.default]));
+}
+
+/**
+ * Check a value against a declaration: { value, error }, with booleans as
+ * 'true' or 'false' and the error null when the value is acceptable
+ */
+export function checkValue(declaration = {}, input) {
+  const value = String(input);
+  const type = declaration.type || 'string';
+  let result = { value, error: null };
+
+  if (type === 'number' && (value.trim() === '' || !Number.isFinite(Number(value)))) {
+    result.error = 'must be a number';
+  } else if (type === 'boolean') {
+    const normalized = value.trim().toLowerCase();
+    result = TRUE_VALUES.includes(normalized) ? { value: 'true', error: null }
+      : FALSE_VALUES.includes(normalized) ? { value: 'false', error: null }
+        : { value, error: 'must be yes or no (true/false)' };
+  } else if (type === 'enum' && !(declaration.values || []).includes(value)) {
+    result.error = `must be one of: ${(declaration.values || []).join(', ')}`;
+  } else if (type === 'path' && !fs.existsSync(path.resolve(value))) {
+    result.error = 'must name an existing file or directory';
+  } else if (type !== 'multiline' && type !== 'string' && value.includes('\n')) {
+    result.error = 'must be a single line';
+  }
+
+  if (!result.error && declaration.pattern && !new RegExp(`^(?:${declaration.pattern})$`, 'u').test(value)) {
+    result.error = `must match /${declaration.pattern}/`;
+  }
+  return result;
+}
+
+/**
+ * Check given values against a prompt's declarations. Returns { values,
+ * problems }: the values with booleans normalized, and [{ name, message }]
+ * for each one rejected.
+ */
+export function validateValues(prompt, values) {
+  const checked = { ...values };
+  const problems = [];
+
+  for (const [name, declaration] of Object.entries(prompt.declarations || {})) {
+    if (!Object.hasOwn(values, name)) {
+      continue;
+    }
+    const { value, error } = checkValue(declaration, values[name]);
+    if (error) {
+      problems.push({ name, message: error });
+    } else {
+      checked[name] = value;
+    }
+  }
+  return { values: checked, problems };
+}
+
+/**
+ * What is wrong with a declaration, or null. Declarations are
+ * { type, description, default, pattern, values } with only type required
+ * (values for enums).
+ */
+export function checkDeclaration(declaration) {
+  if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) {
+    return 'must be an object';
+  }
+  if (!VARIABLE_TYPES.includes(declaration.type)) {
+    return `type must be one of: ${VARIABLE_TYPES.join(', ')}`;
+  }
+  for (const field of ['description', 'default', 'pattern']) {
+    if (declaration[field] !== undefined && typeof declaration[field] !== 'string') {
+      return `${field} must be a string`;
+    }
+  }
+  if (declaration.type === 'enum') {
+    if (!Array.isArray(declaration.values) || declaration.values.length === 0 || !declaration.values.every(value => typeof value === 'string')) {
+      return 'an enum needs a list of values';
+    }
+  } else if (declaration.values !== undefined) {
+    return 'only an enum has values';
+  }
+  if (declaration.pattern !== undefined) {
+    try {
+      new RegExp(declaration.pattern, 'u');
+    } catch (error) {
+      return `pattern is not a valid regular expression: ${error.message}`;
+    }
+  }
+  // A path default may name a file that only exists where the prompt is used
+  if (declaration.default !== undefined && declaration.type !== 'path') {
+    const { error } = checkValue(declaration, declaration.default);
+    if (error) {
+      return `default ${error}`;
+    }
+  }
+  return null;
+}